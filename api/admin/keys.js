@@ -0,0 +1,72 @@
+/**
+ * API Key Management Endpoint
+ *
+ * GET /api/admin/keys - list keys, newest first
+ * POST /api/admin/keys - issue a key
+ *
+ * Requires an API key with the admin scope.
+ *
+ * Query parameters (GET):
+ * - include_revoked: true to include revoked keys
+ *
+ * Request body (POST):
+ * - name: who or what the key is for
+ * - scopes: array of analyze, search, details, admin
+ *
+ * The new key is only returned in the POST response; store it right away.
+ */
+
+const { authenticate, createApiKey, listApiKeys, getErrorResponse } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the admin scope
+  if (!(await authenticate(req, res, 'admin'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const includeRevoked = String(req.query?.include_revoked || '').toLowerCase() === 'true';
+      const keys = await listApiKeys({ include_revoked: includeRevoked });
+
+      return res.status(200).json({
+        success: true,
+        total: keys.length,
+        api_keys: keys,
+      });
+    }
+
+    const { name, scopes } = req.body || {};
+    const { key, api_key } = await createApiKey({ name, scopes });
+
+    return res.status(201).json({
+      success: true,
+      key: key,
+      api_key: api_key,
+    });
+
+  } catch (error) {
+    console.error('[Auth] Key management error:', error);
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while managing API keys',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
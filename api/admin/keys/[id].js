@@ -0,0 +1,77 @@
+/**
+ * API Key Details Endpoint
+ *
+ * GET /api/admin/keys/{id} - fetch a key with its usage counts
+ * DELETE /api/admin/keys/{id} - revoke a key
+ *
+ * Requires an API key with the admin scope.
+ */
+
+const { authenticate, getApiKey, revokeApiKey, getErrorResponse } = require('../../services/api-keys');
+const { applyRateLimit } = require('../../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET and DELETE requests
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the admin scope
+  if (!(await authenticate(req, res, 'admin'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key ID is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const apiKey = await revokeApiKey(id);
+
+      return res.status(200).json({
+        success: true,
+        api_key: apiKey,
+      });
+    }
+
+    const apiKey = await getApiKey(id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        code: 'NOT_FOUND',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      api_key: apiKey,
+    });
+
+  } catch (error) {
+    console.error('[Auth] Key management error:', error);
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while managing API keys',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
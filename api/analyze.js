@@ -1,72 +1,14 @@
-const multer = require('multer');
-const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('./services/emdex-service');
-const { transformBrandResults } = require('./services/drug-transformer');
-
-// Configure multer for memory storage
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB max
-  },
-});
-
-// Promisify multer middleware
-const runMiddleware = (req, res, fn) => {
-  return new Promise((resolve, reject) => {
-    fn(req, res, (result) => {
-      if (result instanceof Error) {
-        return reject(result);
-      }
-      return resolve(result);
-    });
-  });
-};
-
-// System prompt for Llama
-const SYSTEM_PROMPT = `You are a pharmaceutical identification assistant specializing in Nigerian medications. 
-Analyze medication packaging images and extract drug information. 
-Always respond with valid JSON only, no markdown formatting or explanation outside the JSON.
-Focus on accurately extracting NAFDAC registration numbers and all visible text.`;
-
-// Analysis prompt
-const ANALYSIS_PROMPT = `Analyze this medication packaging image. Extract all visible information and return a JSON object with these exact fields:
-
-{
-  "identified": boolean,
-  "confidence": number between 0.0 and 1.0,
-  "brand_name": string or null,
-  "generic_name": string or null,
-  "nafdac_number": string or null (look for NAFDAC REG NO or similar),
-  "manufacturer": string or null,
-  "strength": string or null (e.g., "500mg"),
-  "dosage_form": string or null (tablet, capsule, syrup, etc.),
-  "pack_size": string or null (e.g., "24 tablets"),
-  "batch_number": string or null,
-  "expiry_date": string or null,
-  "manufacturing_date": string or null,
-  "country_of_origin": string or null,
-  "active_ingredients": array of strings or null,
-  "storage_instructions": string or null,
-  "prescription_required": boolean or null,
-  "warnings_visible": array of strings or null,
-  "description": brief description of what the medication is for,
-  "verification_notes": any concerns about authenticity,
-  "image_quality": "good", "fair", or "poor",
-  "suggestions": suggestions if information is unclear or incomplete
-}
-
-Important:
-- Extract information exactly as shown on packaging
-- For NAFDAC number, look for patterns like "NAFDAC REG NO:", "NAFDAC:", "A4-XXXX", "B2-XXXX"
-- If information is not visible or unclear, use null
-- If you cannot identify the medication at all, set identified to false
-- Return ONLY the JSON object, no other text`;
+const { getProviderChain } = require('./services/vision-service');
+const { prepareImages, runAnalysis, getErrorResponse } = require('./services/analysis-pipeline');
+const { parseScanUpload, ScanUploadError } = require('./services/scan-upload');
+const { authenticate } = require('./services/api-keys');
+const { applyRateLimit } = require('./services/rate-limiter');
 
 module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -78,271 +20,40 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    // Parse multipart form data
-    await runMiddleware(req, res, upload.single('image'));
-
-    // Check if image was uploaded
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
-
-    // Get API key from environment variable
-    const apiKey = process.env.LLAMA_API_KEY;
-    if (!apiKey) {
-      console.error('LLAMA_API_KEY not configured');
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
-
-    // Convert image to base64
-    const base64Image = req.file.buffer.toString('base64');
-    const mimeType = req.file.mimetype || 'image/jpeg';
-    const dataUri = `data:${mimeType};base64,${base64Image}`;
-
-    console.log(`Processing image: ${req.file.size} bytes`);
-
-    // Use Together AI for Llama Vision (recommended - has free tier with vision)
-    // Groq no longer offers vision models as of late 2024
-    const provider = process.env.LLAMA_PROVIDER || 'together';
-    let apiUrl, model;
-
-    switch (provider) {
-      case 'fireworks':
-        apiUrl = 'https://api.fireworks.ai/inference/v1/chat/completions';
-        model = 'accounts/fireworks/models/llama-v3p2-11b-vision-instruct';
-        break;
-      case 'together':
-      default:
-        // Together AI - recommended, has Llama 3.2 Vision on free tier
-        apiUrl = 'https://api.together.xyz/v1/chat/completions';
-        model = 'meta-llama/Llama-3.2-11B-Vision-Instruct-Turbo';
-        break;
-    }
-    
-    console.log(`Using provider: ${provider}, model: ${model}`);
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
 
-    // Build request body
-    const requestBody = {
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: SYSTEM_PROMPT,
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: dataUri,
-              },
-            },
-            {
-              type: 'text',
-              text: ANALYSIS_PROMPT,
-            },
-          ],
-        },
-      ],
-      max_tokens: 1500,
-      temperature: 0.1,
-    };
-
-    // Call Llama Vision API
-    const llamaResponse = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    // Handle API errors
-    if (!llamaResponse.ok) {
-      const errorText = await llamaResponse.text();
-      console.error(`Llama API error: ${llamaResponse.status} - ${errorText}`);
-      
-      if (llamaResponse.status === 401) {
-        return res.status(500).json({ error: 'API authentication failed' });
-      } else if (llamaResponse.status === 429) {
-        return res.status(503).json({ error: 'Service temporarily unavailable' });
-      } else {
-        return res.status(500).json({ error: 'Analysis service error' });
-      }
-    }
-
-    // Parse Llama response
-    const llamaData = await llamaResponse.json();
-    
-    // Extract content from response
-    let content = '';
-    try {
-      content = llamaData.choices?.[0]?.message?.content || '';
-    } catch (e) {
-      console.error('Error extracting content:', e);
-      return res.status(500).json({ error: 'Invalid response from AI' });
-    }
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'analyze'))) return;
 
-    if (!content) {
-      return res.status(500).json({ error: 'Empty response from AI' });
-    }
-
-    // Clean up content (remove markdown code blocks if present)
-    let cleanContent = content.trim();
-    if (cleanContent.startsWith('```json')) {
-      cleanContent = cleanContent.substring(7);
-    } else if (cleanContent.startsWith('```')) {
-      cleanContent = cleanContent.substring(3);
-    }
-    if (cleanContent.endsWith('```')) {
-      cleanContent = cleanContent.substring(0, cleanContent.length - 3);
-    }
-    cleanContent = cleanContent.trim();
-
-    // Parse JSON from Llama
-    let analysisResult;
-    try {
-      analysisResult = JSON.parse(cleanContent);
-    } catch (e) {
-      console.error('JSON parse error:', e);
-      console.error('Raw content:', content);
-      return res.status(500).json({ error: 'Failed to parse analysis result' });
-    }
-
-    // Step 2: Verify against EMDEX if NAFDAC number found
-    let verification = {
-      verified: false,
-      source: null,
-      emdex_drug: null,
-      verified_at: null,
-    };
-
-    const nafdacNumber = analysisResult.nafdac_number;
-    
-    if (nafdacNumber && nafdacNumber.trim() !== '') {
-      console.log(`[EMDEX] Verifying NAFDAC number: ${nafdacNumber}`);
-      
-      try {
-        // Search EMDEX for the drug by NAFDAC number or brand name
-        const searchQuery = nafdacNumber;
-        const emdexResponse = await cachedEmdexRequest(
-          '/api/v1/brands/search',
-          { query: searchQuery },
-          CACHE_TTL.VERIFY
-        );
-
-        // Remove cache metadata
-        if (emdexResponse._cache) {
-          delete emdexResponse._cache;
-        }
-
-        // Transform results
-        const results = transformBrandResults(emdexResponse);
-
-        if (results && results.length > 0) {
-          // Look for exact NAFDAC match
-          const normalizedNafdac = nafdacNumber.toUpperCase().replace(/\s+/g, '');
-          const exactMatch = results.find(drug => {
-            const drugNafdac = (drug.nafdac_number || '').toUpperCase().replace(/\s+/g, '');
-            return drugNafdac === normalizedNafdac;
-          });
-
-          if (exactMatch) {
-            verification = {
-              verified: true,
-              source: 'EMDEX/NAFDAC Database',
-              emdex_drug: exactMatch,
-              verified_at: new Date().toISOString(),
-            };
-            console.log(`[EMDEX] Verified: ${exactMatch.brand_name}`);
-          } else {
-            // Try brand name match if no NAFDAC match
-            const brandMatch = results.find(drug => {
-              const drugBrand = (drug.brand_name || '').toLowerCase();
-              const llamaBrand = (analysisResult.brand_name || '').toLowerCase();
-              return drugBrand.includes(llamaBrand) || llamaBrand.includes(drugBrand);
-            });
-
-            if (brandMatch) {
-              verification = {
-                verified: true,
-                source: 'EMDEX/NAFDAC Database',
-                emdex_drug: brandMatch,
-                verified_at: new Date().toISOString(),
-              };
-              console.log(`[EMDEX] Verified by brand: ${brandMatch.brand_name}`);
-            }
-          }
-        }
-
-        // If not found by NAFDAC, try searching by brand name
-        if (!verification.verified && analysisResult.brand_name) {
-          console.log(`[EMDEX] Searching by brand name: ${analysisResult.brand_name}`);
-          
-          const brandSearchResponse = await cachedEmdexRequest(
-            '/api/v1/brands/search',
-            { query: analysisResult.brand_name },
-            CACHE_TTL.SEARCH
-          );
-
-          if (brandSearchResponse._cache) {
-            delete brandSearchResponse._cache;
-          }
-
-          const brandResults = transformBrandResults(brandSearchResponse);
+  try {
+    // Parse multipart form data ('image' for a single photo, 'images' for several)
+    const { files, mode } = await parseScanUpload(req, res);
 
-          if (brandResults && brandResults.length > 0) {
-            // Find closest brand name match
-            const llamaBrand = (analysisResult.brand_name || '').toLowerCase();
-            const brandMatch = brandResults.find(drug => {
-              const drugBrand = (drug.brand_name || '').toLowerCase();
-              return drugBrand === llamaBrand || 
-                     drugBrand.includes(llamaBrand) || 
-                     llamaBrand.includes(drugBrand);
-            });
+    // Check file types, fix orientation and downscale before inference
+    const images = await prepareImages(files);
 
-            if (brandMatch) {
-              verification = {
-                verified: true,
-                source: 'EMDEX/NAFDAC Database',
-                emdex_drug: brandMatch,
-                verified_at: new Date().toISOString(),
-              };
-              console.log(`[EMDEX] Verified by brand search: ${brandMatch.brand_name}`);
-            }
-          }
-        }
+    console.log(`Processing ${images.length} image(s): ${images.map(image => `${image.preprocessing.original_size} -> ${image.size}`).join(', ')} bytes`);
+    console.log(`Provider chain: ${getProviderChain().join(' -> ')}`);
 
-      } catch (emdexError) {
-        console.error('[EMDEX] Verification error:', emdexError.message);
-        // Continue without verification - don't fail the whole request
-        verification.error = 'EMDEX verification temporarily unavailable';
-      }
-    } else {
-      console.log('[EMDEX] No NAFDAC number found, skipping verification');
-    }
-
-    // Build enhanced response
-    const enhancedResult = {
-      success: true,
-      analysis: analysisResult,
-      verification: verification,
-      // Computed fields for easy access
-      is_verified: verification.verified,
-      display_brand_name: verification.emdex_drug?.brand_name || analysisResult.brand_name || null,
-      display_generic_name: verification.emdex_drug?.generic_name || analysisResult.generic_name || null,
-      display_manufacturer: verification.emdex_drug?.manufacturer || analysisResult.manufacturer || null,
-      display_nafdac_number: verification.emdex_drug?.nafdac_number || analysisResult.nafdac_number || null,
-    };
+    const enhancedResult = await runAnalysis(images, { mode, api_key_id: req.apiKey?.id });
+    res.setHeader('X-Cache', enhancedResult.cached ? 'HIT' : 'MISS');
 
     // Return successful result
     console.log('Analysis complete:', enhancedResult.display_brand_name || 'Unknown', 
-                '| Verified:', verification.verified);
+                '| Verified:', enhancedResult.is_verified);
     return res.status(200).json(enhancedResult);
 
   } catch (error) {
+    if (error instanceof ScanUploadError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    const errorResponse = getErrorResponse(error);
+    if (errorResponse) {
+      return res.status(errorResponse.status).json(errorResponse.body);
+    }
+
     console.error('Server error:', error);
     return res.status(500).json({ 
       success: false,
@@ -0,0 +1,91 @@
+/**
+ * Batch Analyze Endpoint
+ *
+ * POST /v1/analyze/batch
+ *
+ * Analyzes many pack photos in one request (e.g., a delivery being checked in)
+ * and returns a result per photo plus a summary of verified, unverified and
+ * failed items. Every analyzed photo is saved to the scan history.
+ *
+ * Each photo takes one token of the batch rate limit. A client with no tokens
+ * left is refused before the upload is read; the rest are charged once the
+ * photos are counted.
+ *
+ * Form fields:
+ * - images: pack photos, one item each (up to BATCH_MAX_ITEMS)
+ * - archive: a ZIP of pack photos
+ * - format: json (default) or csv - also accepted as a query parameter
+ */
+
+const { parseBatchUpload, ScanUploadError } = require('../services/scan-upload');
+const { collectBatchSources, runBatch, toBatchCsv } = require('../services/batch-analysis');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+// Response formats
+const FORMATS = ['json', 'csv'];
+
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
+
+  // Refuse a throttled client before reading up to BATCH_MAX_UPLOAD_MB
+  if (!(await applyRateLimit(req, res, 'batch', { cost: 0 }))) return;
+
+  try {
+    const upload = await parseBatchUpload(req, res);
+
+    const format = String(req.query?.format || upload.body.format || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format. Must be one of: ${FORMATS.join(', ')}`,
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    const sources = collectBatchSources(upload);
+
+    // Throttle per API key or client IP, one token per photo
+    if (!(await applyRateLimit(req, res, 'batch', { cost: sources.sources.length }))) return;
+
+    const batch = await runBatch(sources, { api_key_id: req.apiKey?.id });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="scanrx-${batch.id}.csv"`);
+      res.setHeader('X-Batch-Id', batch.id);
+      return res.status(200).send(toBatchCsv(batch));
+    }
+
+    return res.status(200).json({
+      success: true,
+      batch: batch,
+    });
+
+  } catch (error) {
+    if (error instanceof ScanUploadError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Server error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
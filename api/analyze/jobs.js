@@ -0,0 +1,115 @@
+/**
+ * Analyze Jobs Endpoint
+ *
+ * POST /v1/analyze/jobs
+ *
+ * Same upload as POST /v1/analyze, but returns a job ID immediately (202)
+ * and runs the analysis in the background. Poll GET /v1/analyze/jobs/{id}
+ * for the result, or pass callback_url to receive a signed webhook when the
+ * job finishes.
+ *
+ * On Vercel the in-process (local) queue would never run the job, so the
+ * request fails with 503 QUEUE_NOT_DURABLE until a hosted JOB_QUEUE driver
+ * is registered.
+ *
+ * Form fields:
+ * - image / images, mode: as for /v1/analyze
+ * - callback_url: optional http(s) URL for the job.succeeded / job.failed webhook
+ */
+
+const {
+  prepareImages,
+  getErrorResponse,
+} = require('../services/analysis-pipeline');
+const { parseScanUpload, ScanUploadError } = require('../services/scan-upload');
+const { submitAnalysisJob } = require('../services/analysis-jobs');
+const { validateCallbackUrl, getWebhookSecret, WebhookError } = require('../services/webhooks');
+const { JobQueueError, getJobQueue, isQueueUnusable } = require('../services/job-queue');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'analyze'))) return;
+
+  try {
+    // Fail before taking the upload if the job would never run
+    if (isQueueUnusable(getJobQueue())) {
+      console.error('[Jobs] POST /v1/analyze/jobs rejected: the local queue does not run jobs on Vercel');
+      return res.status(503).json({
+        error: 'Background jobs are not available on this deployment. Use POST /v1/analyze instead',
+        code: 'QUEUE_NOT_DURABLE',
+      });
+    }
+
+    const { files, mode, body } = await parseScanUpload(req, res);
+
+    let callbackUrl = null;
+    if (body.callback_url) {
+      if (!getWebhookSecret()) {
+        return res.status(400).json({
+          error: 'Webhooks are not configured on this server (JOB_WEBHOOK_SECRET is not set)',
+          code: 'WEBHOOKS_NOT_CONFIGURED',
+        });
+      }
+      callbackUrl = await validateCallbackUrl(body.callback_url);
+    }
+
+    // Reject unreadable images now rather than in the background
+    const images = await prepareImages(files);
+
+    const job = await submitAnalysisJob(images, { mode, api_key_id: req.apiKey?.id, callback_url: callbackUrl });
+
+    return res.status(202).json({
+      success: true,
+      job: job,
+      status_url: `/v1/analyze/jobs/${job.id}`,
+    });
+
+  } catch (error) {
+    if (error instanceof ScanUploadError || error instanceof WebhookError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    if (error instanceof JobQueueError && error.code === 'QUEUE_NOT_DURABLE') {
+      return res.status(503).json({
+        error: 'Background jobs are not available on this deployment. Use POST /v1/analyze instead',
+        code: error.code,
+      });
+    }
+
+    if (error instanceof JobQueueError) {
+      console.error('[Jobs] Queue error:', error.message);
+      return res.status(503).json({ error: 'Job queue temporarily unavailable', code: 'QUEUE_ERROR' });
+    }
+
+    const errorResponse = getErrorResponse(error);
+    if (errorResponse) {
+      return res.status(errorResponse.status).json(errorResponse.body);
+    }
+
+    console.error('Server error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Analyze Job Status Endpoint
+ *
+ * GET /v1/analyze/jobs/{id}
+ *
+ * Returns a job's state, attempts and errors, and the analyze response once
+ * it has succeeded. Jobs are kept for JOB_RETENTION_SECONDS after finishing.
+ *
+ * Like scans, a job is only visible to the key that created it, or to an
+ * admin key.
+ */
+
+const { getJob, JobQueueError } = require('../../services/job-queue');
+const { authenticate, hasScope } = require('../../services/api-keys');
+const { applyRateLimit } = require('../../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    // Admin keys see every job; other keys (or no key) only their own
+    const owner = req.apiKey && hasScope(req.apiKey, 'admin') ? {} : { api_key_id: req.apiKey?.id || null };
+    const job = await getJob(id, owner);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        code: 'NOT_FOUND',
+      });
+    }
+
+    // Ask pollers to back off while the job is still running
+    if (job.status !== 'succeeded' && job.status !== 'failed') {
+      res.setHeader('Retry-After', '2');
+    }
+
+    return res.status(200).json({
+      success: true,
+      job: job,
+    });
+
+  } catch (error) {
+    console.error('[Jobs] Get job error:', error);
+
+    if (error instanceof JobQueueError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Job queue temporarily unavailable',
+        code: 'QUEUE_ERROR',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while fetching the job',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Streaming Analyze Endpoint
+ *
+ * POST /v1/analyze/stream
+ *
+ * Same upload and result as POST /v1/analyze, but progress is streamed as
+ * Server-Sent Events so the app can show the drug name while EMDEX
+ * verification is still running:
+ *
+ * - received - images accepted and preprocessed
+ * - extraction - fields read off the pack (before verification)
+ * - verification_started - NAFDAC number / brand / GTIN being looked up
+ * - verification - verification result
+ * - done - the full analyze response, including scan_id
+ * - error - { error, code, status } if the scan failed
+ *
+ * Upload errors (no image, too many images, bad mode) are returned as plain
+ * JSON before the stream starts. If the client disconnects, the analysis is
+ * cancelled and no scan is saved.
+ */
+
+const { getProviderChain } = require('../services/vision-service');
+const {
+  prepareImages,
+  runAnalysis,
+  describeImage,
+  getErrorResponse,
+} = require('../services/analysis-pipeline');
+const { parseScanUpload, ScanUploadError } = require('../services/scan-upload');
+const { createEventStream } = require('../services/event-stream');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'analyze'))) return;
+
+  let upload;
+  try {
+    upload = await parseScanUpload(req, res);
+  } catch (error) {
+    if (error instanceof ScanUploadError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Server error:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+
+  const stream = createEventStream(res);
+
+  // Stop the vision calls, EMDEX lookups and scan history write once the
+  // client has gone away
+  const controller = new AbortController();
+  if (typeof res.on === 'function') {
+    res.on('close', () => controller.abort());
+  }
+
+  try {
+    // Check file types, fix orientation and downscale before inference
+    const images = await prepareImages(upload.files);
+    stream.send('received', {
+      image_count: images.length,
+      mode: upload.mode,
+      images: images.map(describeImage),
+    });
+
+    console.log(`[SSE] Streaming analysis of ${images.length} image(s), provider chain: ${getProviderChain().join(' -> ')}`);
+
+    const enhancedResult = await runAnalysis(images, {
+      mode: upload.mode,
+      api_key_id: req.apiKey?.id,
+      signal: controller.signal,
+      onProgress: (stage, data) => stream.send(stage, data),
+    });
+
+    console.log('[SSE] Analysis complete:', enhancedResult.display_brand_name || 'Unknown',
+                '| Verified:', enhancedResult.is_verified);
+    stream.send('done', enhancedResult);
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('[SSE] Analysis cancelled, client disconnected');
+      stream.close();
+      return;
+    }
+
+    const errorResponse = getErrorResponse(error);
+    if (errorResponse) {
+      stream.send('error', { ...errorResponse.body, status: errorResponse.status });
+    } else {
+      console.error('Server error:', error);
+      stream.send('error', { success: false, error: 'Internal server error', status: 500 });
+    }
+  }
+
+  stream.close();
+};
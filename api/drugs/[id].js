@@ -10,13 +10,24 @@
  * - /api/drugs/emdex_generic_67890
  */
 
-const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('../services/emdex-service');
+const {
+  cachedEmdexRequest,
+  getCacheHeader,
+  getStaleInfo,
+  stalestCacheInfo,
+  isUpstreamFailure,
+  EmdexError,
+  CACHE_TTL,
+} = require('../services/emdex-service');
 const { 
   transformEmdexBrandDetails,
   transformEmdexGenericDetails,
   parseAppDrugId,
   transformBrandResults,
+  extractDrugData,
 } = require('../services/drug-transformer');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
 
 module.exports = async function handler(req, res) {
   // Only allow GET requests
@@ -27,6 +38,12 @@ module.exports = async function handler(req, res) {
     });
   }
 
+  // Require an API key with the details scope
+  if (!(await authenticate(req, res, 'details'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
   try {
     // Get drug ID from URL parameter
     const { id } = req.query;
@@ -57,11 +74,13 @@ module.exports = async function handler(req, res) {
     let emdexResponse;
     let drug;
     let cacheHit = false;
+    let staleCacheInfo = null;
 
     // Helper to extract cache info
     const extractCacheInfo = (response) => {
       if (response && response._cache) {
         cacheHit = response._cache.hit;
+        staleCacheInfo = stalestCacheInfo(staleCacheInfo, response._cache);
         delete response._cache;
       }
       return response;
@@ -160,12 +179,18 @@ module.exports = async function handler(req, res) {
     }
 
     // Set cache headers
-    res.setHeader('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    if (staleCacheInfo) {
+      res.setHeader('X-Cache', getCacheHeader(staleCacheInfo));
+      res.setHeader('Age', staleCacheInfo.age_seconds);
+    } else {
+      res.setHeader('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    }
 
     return res.status(200).json({
       success: true,
       drug: drug,
       cached: cacheHit,
+      stale: getStaleInfo(staleCacheInfo),
     });
 
   } catch (error) {
@@ -173,7 +198,19 @@ module.exports = async function handler(req, res) {
 
     // Handle EMDEX-specific errors
     if (error instanceof EmdexError) {
-      if (error.code === 'NETWORK_ERROR') {
+      // Circuit open or outbound limit reached - EMDEX wasn't called
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'THROTTLED') {
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+        return res.status(503).json({
+          success: false,
+          error: 'Unable to fetch drug details. Drug database temporarily unavailable.',
+          code: 'SERVICE_UNAVAILABLE',
+          retry_after: error.retryAfterSeconds,
+        });
+      }
+
+      // Network errors and 5xx responses (including from the login)
+      if (isUpstreamFailure(error)) {
         return res.status(503).json({
           success: false,
           error: 'Unable to fetch drug details. Drug database temporarily unavailable.',
@@ -189,8 +226,8 @@ module.exports = async function handler(req, res) {
         });
       }
 
-      // Check for 404-like responses from EMDEX
-      if (error.message && error.message.includes('404')) {
+      // EMDEX has no such drug
+      if (error.code === 'REQUEST_FAILED' && error.status === 404) {
         return res.status(404).json({
           success: false,
           error: 'Drug not found',
@@ -207,57 +244,3 @@ module.exports = async function handler(req, res) {
     });
   }
 };
-
-/**
- * Extract drug data from EMDEX response
- * Handles various response structures
- * 
- * @param {Object} response - EMDEX API response
- * @returns {Object|null} Drug data or null if not found
- */
-function extractDrugData(response) {
-  if (!response) return null;
-
-  // Direct data
-  if (response.id || response.brand_id || response.generic_id) {
-    return response;
-  }
-
-  // Wrapped in data property
-  if (response.data) {
-    if (Array.isArray(response.data)) {
-      return response.data[0] || null;
-    }
-    return response.data;
-  }
-
-  // Wrapped in drug property
-  if (response.drug) {
-    return response.drug;
-  }
-
-  // Wrapped in brand/generic property
-  if (response.brand) {
-    return response.brand;
-  }
-  if (response.generic) {
-    return response.generic;
-  }
-
-  // Wrapped in result property
-  if (response.result) {
-    return response.result;
-  }
-
-  // Check if it's an empty success response
-  if (response.success === false || response.error) {
-    return null;
-  }
-
-  // Last resort: return the whole response if it looks like drug data
-  if (response.brand_name || response.generic_name || response.name) {
-    return response;
-  }
-
-  return null;
-}
@@ -0,0 +1,93 @@
+/**
+ * GTIN Lookup Endpoint
+ *
+ * GET /api/drugs/gtin/{gtin}
+ *
+ * Resolves a scanned barcode to the EMDEX brand it is mapped to, in the
+ * same shape as GET /api/drugs/{id}.
+ *
+ * URL examples:
+ * - /api/drugs/gtin/5901234123457 (EAN-13)
+ * - /api/drugs/gtin/05901234123457 (GTIN-14 from a GS1 DataMatrix)
+ */
+
+const { resolveGtin, getErrorResponse } = require('../../services/gtin-mapping');
+const { getCacheHeader, getStaleInfo } = require('../../services/emdex-service');
+const { authenticate } = require('../../services/api-keys');
+const { applyRateLimit } = require('../../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the details scope
+  if (!(await authenticate(req, res, 'details'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { gtin } = req.query;
+
+    if (!gtin) {
+      return res.status(400).json({
+        success: false,
+        error: 'GTIN is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    const result = await resolveGtin(gtin);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'No drug is mapped to this GTIN',
+        code: 'NOT_MAPPED',
+      });
+    }
+
+    if (!result.drug) {
+      return res.status(404).json({
+        success: false,
+        error: `Mapped drug ${result.mapping.drug_id} was not found`,
+        code: 'NOT_FOUND',
+        mapping: result.mapping,
+      });
+    }
+
+    // Set cache headers
+    res.setHeader('X-Cache', getCacheHeader(result.cacheInfo));
+    if (result.cacheInfo.stale) {
+      res.setHeader('Age', result.cacheInfo.age_seconds);
+    }
+
+    return res.status(200).json({
+      success: true,
+      gtin: result.mapping.gtin,
+      drug: result.drug,
+      mapping: result.mapping,
+      cached: result.cached,
+      stale: getStaleInfo(result.cacheInfo),
+    });
+
+  } catch (error) {
+    console.error('[GTIN] Lookup error:', error);
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while looking up the GTIN',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
@@ -6,12 +6,24 @@
  * Searches EMDEX for drugs by brand name, generic name, or both.
  */
 
-const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('../services/emdex-service');
+const {
+  cachedEmdexRequest,
+  getCacheHeader,
+  getStaleInfo,
+  stalestCacheInfo,
+  isUpstreamFailure,
+  EmdexError,
+  CACHE_TTL,
+} = require('../services/emdex-service');
 const { 
   transformBrandResults, 
   transformGenericResults,
   removeDuplicates,
 } = require('../services/drug-transformer');
+const { looksLikeNafdacNumber, normalizeNafdacNumber } = require('../services/nafdac-number');
+const { rankBrandCandidates } = require('../services/brand-matcher');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
 
 module.exports = async function handler(req, res) {
   // Only allow POST requests
@@ -22,6 +34,12 @@ module.exports = async function handler(req, res) {
     });
   }
 
+  // Require an API key with the search scope
+  if (!(await authenticate(req, res, 'search'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
   try {
     const { query, type = 'all', limit = 20 } = req.body;
 
@@ -33,7 +51,11 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    const searchQuery = query.trim();
+    // Registration numbers are searched in canonical form (e.g., "a4 0451" -> "A4-0451")
+    const isNafdacQuery = looksLikeNafdacNumber(query);
+    const searchQuery = isNafdacQuery
+      ? normalizeNafdacNumber(query)
+      : query.trim();
     const searchType = type.toLowerCase();
 
     // Validate type
@@ -50,12 +72,14 @@ module.exports = async function handler(req, res) {
     let genericResults = [];
     let cacheHits = 0;
     let cacheMisses = 0;
+    let staleCacheInfo = null;
 
     // Helper to extract cache info and track stats
     const extractCacheInfo = (response) => {
       if (response && response._cache) {
         if (response._cache.hit) cacheHits++;
         else cacheMisses++;
+        staleCacheInfo = stalestCacheInfo(staleCacheInfo, response._cache);
         delete response._cache;
       }
       return response;
@@ -84,21 +108,29 @@ module.exports = async function handler(req, res) {
 
     } else {
       // Search both in parallel
+      let searchError = null;
       const [brandResponse, genericResponse] = await Promise.all([
         cachedEmdexRequest('/api/v1/brands/search', { query: searchQuery }, CACHE_TTL.SEARCH)
           .then(extractCacheInfo)
           .catch(err => {
             console.error('[EMDEX] Brand search failed:', err.message);
+            searchError = err;
             return null;
           }),
         cachedEmdexRequest('/api/v1/generic/search', { query: searchQuery }, CACHE_TTL.SEARCH)
           .then(extractCacheInfo)
           .catch(err => {
             console.error('[EMDEX] Generic search failed:', err.message);
+            searchError = err;
             return null;
           }),
       ]);
 
+      // Report an outage rather than an empty result when both searches failed
+      if (!brandResponse && !genericResponse && isUpstreamFailure(searchError)) {
+        throw searchError;
+      }
+
       if (brandResponse) {
         console.log('[EMDEX] Raw brand response:', JSON.stringify(brandResponse, null, 2));
         brandResults = transformBrandResults(brandResponse);
@@ -110,6 +142,11 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Rank brand results by name similarity, closest first
+    if (!isNafdacQuery) {
+      brandResults = rankBrandCandidates(searchQuery, brandResults);
+    }
+
     // Merge results: brands first, then generics
     let allResults = [...brandResults, ...genericResults];
 
@@ -128,7 +165,12 @@ module.exports = async function handler(req, res) {
 
     // Set cache headers
     const allCached = cacheHits > 0 && cacheMisses === 0;
-    res.setHeader('X-Cache', allCached ? 'HIT' : (cacheHits > 0 ? 'PARTIAL' : 'MISS'));
+    if (staleCacheInfo) {
+      res.setHeader('X-Cache', getCacheHeader(staleCacheInfo));
+      res.setHeader('Age', staleCacheInfo.age_seconds);
+    } else {
+      res.setHeader('X-Cache', allCached ? 'HIT' : (cacheHits > 0 ? 'PARTIAL' : 'MISS'));
+    }
 
     return res.status(200).json({
       success: true,
@@ -140,6 +182,7 @@ module.exports = async function handler(req, res) {
       brand_count: brandCount,
       generic_count: genericCount,
       cached: allCached,
+      stale: getStaleInfo(staleCacheInfo),
     });
 
   } catch (error) {
@@ -147,7 +190,19 @@ module.exports = async function handler(req, res) {
 
     // Handle EMDEX-specific errors
     if (error instanceof EmdexError) {
-      if (error.code === 'NETWORK_ERROR') {
+      // Circuit open or outbound limit reached - EMDEX wasn't called
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'THROTTLED') {
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+        return res.status(503).json({
+          success: false,
+          error: 'Drug database temporarily unavailable',
+          code: 'SERVICE_UNAVAILABLE',
+          retry_after: error.retryAfterSeconds,
+        });
+      }
+
+      // Network errors and 5xx responses (including from the login)
+      if (isUpstreamFailure(error)) {
         return res.status(503).json({
           success: false,
           error: 'Drug database temporarily unavailable',
@@ -6,8 +6,17 @@
  * Searches EMDEX for generic name drugs.
  */
 
-const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('../../services/emdex-service');
+const {
+  cachedEmdexRequest,
+  getCacheHeader,
+  getStaleInfo,
+  isUpstreamFailure,
+  EmdexError,
+  CACHE_TTL,
+} = require('../../services/emdex-service');
 const { transformGenericResults } = require('../../services/drug-transformer');
+const { authenticate } = require('../../services/api-keys');
+const { applyRateLimit } = require('../../services/rate-limiter');
 
 module.exports = async function handler(req, res) {
   // Only allow POST requests
@@ -18,6 +27,12 @@ module.exports = async function handler(req, res) {
     });
   }
 
+  // Require an API key with the search scope
+  if (!(await authenticate(req, res, 'search'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
   try {
     const { query, limit = 20 } = req.body;
 
@@ -57,10 +72,13 @@ module.exports = async function handler(req, res) {
     }
 
     // Set cache headers
-    res.setHeader('X-Cache', cacheInfo.hit ? 'HIT' : 'MISS');
+    res.setHeader('X-Cache', getCacheHeader(cacheInfo));
     if (cacheInfo.ttl) {
       res.setHeader('X-Cache-TTL', cacheInfo.ttl);
     }
+    if (cacheInfo.stale) {
+      res.setHeader('Age', cacheInfo.age_seconds);
+    }
 
     return res.status(200).json({
       success: true,
@@ -69,6 +87,7 @@ module.exports = async function handler(req, res) {
       results: results,
       total: totalCount,
       cached: cacheInfo.hit,
+      stale: getStaleInfo(cacheInfo),
     });
 
   } catch (error) {
@@ -76,7 +95,19 @@ module.exports = async function handler(req, res) {
 
     // Handle EMDEX-specific errors
     if (error instanceof EmdexError) {
-      if (error.code === 'NETWORK_ERROR') {
+      // Circuit open or outbound limit reached - EMDEX wasn't called
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'THROTTLED') {
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+        return res.status(503).json({
+          success: false,
+          error: 'Drug database temporarily unavailable',
+          code: 'SERVICE_UNAVAILABLE',
+          retry_after: error.retryAfterSeconds,
+        });
+      }
+
+      // Network errors and 5xx responses (including from the login)
+      if (isUpstreamFailure(error)) {
         return res.status(503).json({
           success: false,
           error: 'Drug database temporarily unavailable',
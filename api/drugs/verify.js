@@ -0,0 +1,108 @@
+/**
+ * NAFDAC Verification Endpoint
+ *
+ * POST /api/drugs/verify
+ *
+ * Verifies a NAFDAC registration number against EMDEX and optionally checks
+ * that the brand name, manufacturer and strength match the registry record.
+ */
+
+const { EmdexError, isUpstreamFailure } = require('../services/emdex-service');
+const { verifyNafdacNumber } = require('../services/verification-service');
+const { normalizeNafdacNumber } = require('../services/nafdac-number');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the search scope
+  if (!(await authenticate(req, res, 'search'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { nafdac_number, brand_name, manufacturer, strength } = req.body || {};
+
+    // Validate NAFDAC number
+    if (!nafdac_number || typeof nafdac_number !== 'string' || nafdac_number.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'NAFDAC number is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    if (!normalizeNafdacNumber(nafdac_number)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid NAFDAC number format. Expected format like A4-0451',
+        code: 'INVALID_NAFDAC_NUMBER',
+      });
+    }
+
+    console.log(`[Verify] Verifying NAFDAC number: "${nafdac_number}"`);
+
+    const result = await verifyNafdacNumber({
+      nafdac_number: nafdac_number.trim(),
+      brand_name,
+      manufacturer,
+      strength,
+    });
+
+    console.log(`[Verify] ${result.nafdac.normalized}: ${result.status}`);
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+    });
+
+  } catch (error) {
+    console.error('[Verify] Verification error:', error);
+
+    // Handle EMDEX-specific errors
+    if (error instanceof EmdexError) {
+      // Circuit open or outbound limit reached - EMDEX wasn't called
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'THROTTLED') {
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+        return res.status(503).json({
+          success: false,
+          error: 'Drug database temporarily unavailable',
+          code: 'SERVICE_UNAVAILABLE',
+          retry_after: error.retryAfterSeconds,
+        });
+      }
+
+      // Network errors and 5xx responses (including from the login)
+      if (isUpstreamFailure(error)) {
+        return res.status(503).json({
+          success: false,
+          error: 'Drug database temporarily unavailable',
+          code: 'SERVICE_UNAVAILABLE',
+        });
+      }
+
+      if (error.code === 'AUTH_FAILED') {
+        return res.status(503).json({
+          success: false,
+          error: 'Drug database authentication failed',
+          code: 'AUTH_ERROR',
+        });
+      }
+    }
+
+    // Generic error
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while verifying the NAFDAC number',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
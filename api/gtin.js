@@ -0,0 +1,93 @@
+/**
+ * GTIN Mapping Endpoint
+ *
+ * GET /api/gtin - list mappings, most recently updated first
+ * POST /api/gtin - map a GTIN to an EMDEX brand
+ *
+ * Query parameters (GET):
+ * - source: manual or learned
+ * - drug_id: only mappings to this drug (emdex_brand_XXX)
+ * - limit (default 50, max 200), offset
+ *
+ * Request body (POST):
+ * - gtin: GTIN-8, -12, -13 or -14 (stored as GTIN-14)
+ * - drug_id: EMDEX brand ID (emdex_brand_XXX)
+ * - notes: optional
+ */
+
+const {
+  listMappings,
+  saveMapping,
+  getErrorResponse,
+  MAPPING_SOURCES,
+} = require('./services/gtin-mapping');
+const { authenticate } = require('./services/api-keys');
+const { applyRateLimit } = require('./services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Reading mappings needs the details scope, changing them needs admin
+  if (!(await authenticate(req, res, req.method === 'GET' ? 'details' : 'admin'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const { source, drug_id, limit, offset } = req.query || {};
+
+      if (source && !MAPPING_SOURCES.includes(source)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid source. Use one of: ${MAPPING_SOURCES.join(', ')}`,
+          code: 'INVALID_REQUEST',
+        });
+      }
+
+      const result = await listMappings({ source, drug_id, limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        ...result,
+      });
+    }
+
+    const { gtin, drug_id, notes } = req.body || {};
+
+    if (!gtin || !drug_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'gtin and drug_id are required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    const { mapping } = await saveMapping({ gtin: String(gtin), drug_id, notes }, { overwrite: false });
+
+    return res.status(201).json({
+      success: true,
+      mapping: mapping,
+    });
+
+  } catch (error) {
+    console.error('[GTIN] Mapping error:', error);
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while managing GTIN mappings',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * GTIN Mapping Details Endpoint
+ *
+ * GET /api/gtin/{gtin} - fetch a mapping
+ * PUT /api/gtin/{gtin} - create or replace a mapping ({ drug_id, notes })
+ * DELETE /api/gtin/{gtin} - remove a mapping
+ *
+ * The GTIN may be sent as GTIN-8, -12, -13 or -14.
+ */
+
+const {
+  getMapping,
+  saveMapping,
+  deleteMapping,
+  getErrorResponse,
+} = require('../services/gtin-mapping');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET, PUT and DELETE requests
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Reading mappings needs the details scope, changing them needs admin
+  if (!(await authenticate(req, res, req.method === 'GET' ? 'details' : 'admin'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { gtin } = req.query;
+
+    if (!gtin) {
+      return res.status(400).json({
+        success: false,
+        error: 'GTIN is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { drug_id, notes } = req.body || {};
+
+      if (!drug_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'drug_id is required',
+          code: 'INVALID_REQUEST',
+        });
+      }
+
+      const { mapping, created } = await saveMapping({ gtin, drug_id, notes });
+
+      return res.status(created ? 201 : 200).json({
+        success: true,
+        mapping: mapping,
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!(await deleteMapping(gtin))) {
+        return res.status(404).json({
+          success: false,
+          error: 'GTIN mapping not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+      });
+    }
+
+    const mapping = await getMapping(gtin);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'GTIN mapping not found',
+        code: 'NOT_FOUND',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      mapping: mapping,
+    });
+
+  } catch (error) {
+    console.error('[GTIN] Mapping error:', error);
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while managing the GTIN mapping',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
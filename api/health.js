@@ -1,9 +1,19 @@
+const { getCircuitState } = require('./services/emdex-service');
+
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  
+
+  // Breaker state only; the last error stays on the admin view of /ready
+  const circuit = getCircuitState();
+
   return res.status(200).json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     service: 'scanrx-backend',
+    emdex_circuit: {
+      state: circuit.state,
+      consecutive_failures: circuit.consecutive_failures,
+      retry_at: circuit.retry_at,
+    },
   });
 };
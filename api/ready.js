@@ -0,0 +1,67 @@
+/**
+ * Readiness Endpoint
+ *
+ * GET /ready
+ *
+ * Checks EMDEX authentication, the vision providers, the cache and the
+ * configuration, and reports each with its status and latency. Returns 503
+ * when a critical dependency has failed, so uptime monitors and load
+ * balancers can act on the status code alone.
+ *
+ * No API key is needed, like /health, so monitors can call it. Without an
+ * admin key the response only has the statuses, latencies, version and mock
+ * flags; the messages, details, commit and environment are only shown to
+ * admin keys.
+ */
+
+const { checkReadiness, summarizeReadiness } = require('./services/readiness');
+const { getRequestApiKey, verifyApiKey, hasScope } = require('./services/api-keys');
+const { applyRateLimit } = require('./services/rate-limiter');
+
+/**
+ * Check whether the request carries an admin key
+ *
+ * A missing, invalid or unverifiable key just gets the public view.
+ *
+ * @param {Object} req - Request
+ * @returns {Promise<boolean>} True for an active key with the admin scope
+ */
+async function isAdminRequest(req) {
+  const key = getRequestApiKey(req);
+  if (!key) return false;
+
+  try {
+    const apiKey = await verifyApiKey(key);
+    return Boolean(apiKey && hasScope(apiKey, 'admin'));
+  } catch (error) {
+    console.error('[Ready] Failed to verify API key:', error.message);
+    return false;
+  }
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Only allow GET
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Throttle per client IP (each call reaches EMDEX and the vision provider)
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const readiness = await checkReadiness();
+    const body = (await isAdminRequest(req)) ? readiness : summarizeReadiness(readiness);
+    return res.status(readiness.status === 'failed' ? 503 : 200).json(body);
+  } catch (error) {
+    console.error('[Ready] Readiness check error:', error);
+    return res.status(503).json({
+      status: 'failed',
+      timestamp: new Date().toISOString(),
+      service: 'scanrx-backend',
+      error: 'Readiness check failed',
+    });
+  }
+};
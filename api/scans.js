@@ -0,0 +1,118 @@
+/**
+ * Scan History Endpoint
+ *
+ * GET /api/scans
+ *
+ * Lists past scans, newest first, filtered by date range, verification
+ * status or NAFDAC number. Keys see only the scans they made; admin keys
+ * see every client's scans.
+ *
+ * Query parameters:
+ * - from, to: ISO dates or timestamps (a date-only "to" includes the whole day)
+ * - status: verification status (verified, mismatch, brand_only, ...)
+ * - nafdac_number: read off the pack or matched in the registry
+ * - limit (default 20, max 100), offset
+ */
+
+const { listScans, getScanOwnerFilter, ScanStoreError, SCAN_STATUSES } = require('./services/scan-store');
+const { normalizeNafdacNumber } = require('./services/nafdac-number');
+const { authenticate } = require('./services/api-keys');
+const { applyRateLimit } = require('./services/rate-limiter');
+
+/**
+ * Parse a date filter into an ISO timestamp
+ *
+ * @param {string} value - ISO date ("2026-03-01") or timestamp
+ * @param {boolean} endOfDay - Extend a date-only value to the end of the day
+ * @returns {string|null} ISO timestamp or null if invalid
+ */
+function parseDateFilter(value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time)) return null;
+
+  const oneDayMs = 24 * 60 * 60 * 1000;
+  return new Date(dateOnly && endOfDay ? time + oneDayMs - 1 : time).toISOString();
+}
+
+module.exports = async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the details scope
+  if (!(await authenticate(req, res, 'details'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { from, to, status, nafdac_number, limit, offset } = req.query || {};
+    const filters = { ...getScanOwnerFilter(req.apiKey), limit, offset };
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (!value) continue;
+      filters[name] = parseDateFilter(String(value), name === 'to');
+      if (!filters[name]) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid "${name}" date. Use an ISO date like 2026-03-01`,
+          code: 'INVALID_REQUEST',
+        });
+      }
+    }
+
+    if (status) {
+      if (!SCAN_STATUSES.includes(String(status).toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Must be one of: ${SCAN_STATUSES.join(', ')}`,
+          code: 'INVALID_REQUEST',
+        });
+      }
+      filters.status = String(status).toLowerCase();
+    }
+
+    if (nafdac_number) {
+      filters.nafdac_number = normalizeNafdacNumber(String(nafdac_number));
+      if (!filters.nafdac_number) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid NAFDAC number format. Expected format like A4-0451',
+          code: 'INVALID_NAFDAC_NUMBER',
+        });
+      }
+    }
+
+    const result = await listScans(filters);
+
+    return res.status(200).json({
+      success: true,
+      scans: result.scans,
+      total: result.total,
+      limit: result.limit,
+      offset: result.offset,
+    });
+
+  } catch (error) {
+    console.error('[ScanStore] List scans error:', error);
+
+    if (error instanceof ScanStoreError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Scan history temporarily unavailable',
+        code: 'STORAGE_ERROR',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while listing scans',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
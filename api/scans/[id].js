@@ -0,0 +1,72 @@
+/**
+ * Scan Details Endpoint
+ *
+ * GET /api/scans/{id}
+ *
+ * Fetches a single scan from the history. Keys can only fetch the scans they
+ * made; admin keys can fetch any scan.
+ */
+
+const { getScan, getScanOwnerFilter, ScanStoreError } = require('../services/scan-store');
+const { authenticate } = require('../services/api-keys');
+const { applyRateLimit } = require('../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the details scope
+  if (!(await authenticate(req, res, 'details'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scan ID is required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    const scan = await getScan(id, getScanOwnerFilter(req.apiKey));
+
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan not found',
+        code: 'NOT_FOUND',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      scan: scan,
+    });
+
+  } catch (error) {
+    console.error('[ScanStore] Get scan error:', error);
+
+    if (error instanceof ScanStoreError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Scan history temporarily unavailable',
+        code: 'STORAGE_ERROR',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while fetching the scan',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
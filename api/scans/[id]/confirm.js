@@ -0,0 +1,97 @@
+/**
+ * Scan Confirmation Endpoint
+ *
+ * POST /api/scans/{id}/confirm
+ *
+ * Records which drug a pharmacist identified an unmatched scan as. If the
+ * scan had a barcode, its GTIN is learned into the GTIN mapping table so
+ * later scans of the same product resolve straight to the drug.
+ *
+ * Only the key that made the scan (or an admin key) can confirm it. A GTIN
+ * that is already learned as another drug is only re-pointed for keys with
+ * the details or admin scope, since every client shares the mapping table.
+ *
+ * Request body:
+ * - drug_id: EMDEX brand ID (emdex_brand_XXX)
+ * - confirmed_by: optional pharmacist name or ID
+ * - notes: optional
+ */
+
+const { getScan, getScanOwnerFilter, ScanStoreError } = require('../../services/scan-store');
+const { learnFromScan, getErrorResponse } = require('../../services/gtin-mapping');
+const { authenticate, hasScope } = require('../../services/api-keys');
+const { applyRateLimit } = require('../../services/rate-limiter');
+
+module.exports = async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  // Require an API key with the analyze scope
+  if (!(await authenticate(req, res, 'analyze'))) return;
+
+  // Throttle per API key or client IP
+  if (!(await applyRateLimit(req, res, 'lookup'))) return;
+
+  try {
+    const { id } = req.query;
+    const { drug_id, confirmed_by, notes } = req.body || {};
+
+    if (!id || !drug_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scan ID and drug_id are required',
+        code: 'INVALID_REQUEST',
+      });
+    }
+
+    const scan = await getScan(id, getScanOwnerFilter(req.apiKey));
+
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan not found',
+        code: 'NOT_FOUND',
+      });
+    }
+
+    const { mapping, created } = await learnFromScan(scan, drug_id, {
+      confirmed_by,
+      notes,
+      replace: Boolean(req.apiKey && hasScope(req.apiKey, 'details')),
+    });
+
+    return res.status(200).json({
+      success: true,
+      scan_id: scan.id,
+      mapping: mapping,
+      learned: created || mapping.scan_id === scan.id,
+    });
+
+  } catch (error) {
+    console.error('[GTIN] Scan confirmation error:', error);
+
+    if (error instanceof ScanStoreError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Scan history temporarily unavailable',
+        code: 'STORAGE_ERROR',
+      });
+    }
+
+    const response = getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred while confirming the scan',
+      code: 'INTERNAL_ERROR',
+    });
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Analysis Result Cache
+ *
+ * Caches the vision model's extraction for an upload so a retried or
+ * re-uploaded photo doesn't pay for inference again.
+ *
+ * Uploads are keyed by the SHA-256 of each image's bytes, so only the exact
+ * same files hit. Perceptual hashes aren't used for matching: an edited
+ * character on a pack - a different NAFDAC number, batch or expiry date -
+ * changes only a few bits, and the cache is shared by every client, so a
+ * near-duplicate match could serve one pack's fields for another.
+ *
+ * Only the extraction is cached - verification against EMDEX runs again on
+ * every request so registry changes are picked up.
+ *
+ * Configure with ANALYSIS_CACHE_TTL (seconds, default 3600, 0 disables).
+ */
+
+const cache = require('./cache-service');
+
+const DEFAULT_TTL = 3600;
+
+/**
+ * Get the configured cache TTL
+ *
+ * @returns {number} TTL in seconds (0 = disabled)
+ */
+function getAnalysisCacheTtl() {
+  const value = parseInt(process.env.ANALYSIS_CACHE_TTL, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_TTL : value;
+}
+
+/**
+ * Build the cache key for an upload
+ *
+ * @param {Array<Object>} images - Image inputs with sha256
+ * @param {string} mode - Scan mode
+ * @returns {string} Cache key
+ */
+function getAnalysisCacheKey(images, mode) {
+  return cache.generateKey('analysis', { mode, images: images.map(image => image.sha256).join('.') });
+}
+
+/**
+ * Find a cached extraction for an upload
+ *
+ * @param {Array<Object>} images - Image inputs with sha256
+ * @param {string} mode - Scan mode
+ * @returns {Promise<Object|null>} { extraction, key, age_seconds } or null
+ */
+async function findCachedAnalysis(images, mode) {
+  if (getAnalysisCacheTtl() === 0) return null;
+
+  const key = getAnalysisCacheKey(images, mode);
+  const entry = await cache.get(key);
+  if (!entry) return null;
+
+  console.log(`[AnalysisCache] Hit for ${key}`);
+
+  return {
+    extraction: structuredClone(entry.extraction),
+    key,
+    age_seconds: Math.round((Date.now() - entry.createdAt) / 1000),
+  };
+}
+
+/**
+ * Cache an extraction for an upload
+ *
+ * @param {Array<Object>} images - Image inputs with sha256
+ * @param {string} mode - Scan mode
+ * @param {Object} extraction - Result from extractFromImages
+ * @returns {Promise<void>}
+ */
+async function storeAnalysis(images, mode, extraction) {
+  const ttl = getAnalysisCacheTtl();
+  if (ttl === 0) return;
+
+  const key = getAnalysisCacheKey(images, mode);
+  await cache.set(key, { extraction: structuredClone(extraction), createdAt: Date.now() }, ttl);
+}
+
+module.exports = {
+  findCachedAnalysis,
+  storeAnalysis,
+  getAnalysisCacheKey,
+  getAnalysisCacheTtl,
+};
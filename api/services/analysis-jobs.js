@@ -0,0 +1,60 @@
+/**
+ * Analysis Jobs
+ *
+ * Runs /v1/analyze as a background job (see job-queue.js). Uploads are
+ * validated and preprocessed before the job is queued, so bad images are
+ * still rejected immediately; the job runs extraction, verification and
+ * scan history through runAnalysis.
+ *
+ * Vision provider failures that are worth retrying (429, 5xx, network) and
+ * timeouts retry the job; anything else fails it.
+ */
+
+const { runAnalysis, getErrorResponse } = require('./analysis-pipeline');
+const { isRetryable } = require('./vision-service');
+const { registerJobHandler, createJob } = require('./job-queue');
+
+const JOB_TYPE = 'analyze';
+
+/**
+ * Run one analysis job
+ *
+ * @param {Object} payload - { images, mode, api_key_id }
+ * @param {Object} job - Job details
+ * @param {Object} context - { signal } aborted when the attempt times out
+ * @returns {Promise<Object>} Analyze response body
+ * @throws {Error} With `retryable` and `response` (the error body) set
+ */
+async function runAnalysisJob(payload, job, { signal } = {}) {
+  try {
+    return await runAnalysis(payload.images, { mode: payload.mode, api_key_id: payload.api_key_id, signal });
+  } catch (error) {
+    error.retryable = isRetryable(error);
+    const errorResponse = getErrorResponse(error);
+    error.response = errorResponse
+      ? { ...errorResponse.body, status: errorResponse.status }
+      : { error: 'Internal server error', status: 500 };
+    throw error;
+  }
+}
+
+registerJobHandler(JOB_TYPE, runAnalysisJob);
+
+/**
+ * Queue an analysis of preprocessed images
+ *
+ * @param {Array<Object>} images - Image inputs from prepareImages
+ * @param {Object} options - { mode, api_key_id, callback_url }
+ * @returns {Promise<Object>} Job details
+ */
+async function submitAnalysisJob(images, options = {}) {
+  return createJob(
+    JOB_TYPE,
+    { images, mode: options.mode, api_key_id: options.api_key_id },
+    { api_key_id: options.api_key_id, callback_url: options.callback_url }
+  );
+}
+
+module.exports = {
+  submitAnalysisJob,
+};
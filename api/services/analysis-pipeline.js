@@ -0,0 +1,797 @@
+/**
+ * Analysis Pipeline
+ *
+ * The steps behind /v1/analyze, shared by every entry point that analyzes
+ * medication packaging:
+ *
+ * 0. Preprocessing - validate, orient, downscale and quality-check each upload,
+ *    and decode any barcodes on it
+ * 1. Extraction - vision model call(s), schema validation and one re-prompt,
+ *    skipped when the same photo was analyzed recently
+ * 2. Merging - combine per-image results for multi-image scans, then apply
+ *    the barcode's GTIN, batch and dates over what the model read
+ * 3. Verification - look the extracted drug up in EMDEX
+ * 4. Response - build the enhanced analyze response, including the risk
+ *    assessment and expiry/manufacturing date warnings
+ * 5. History - save the result to the scan store
+ */
+
+const { cachedEmdexRequest, CACHE_TTL } = require('./emdex-service');
+const { transformBrandResults } = require('./drug-transformer');
+const { VisionProviderError, getProvider } = require('./vision-providers');
+const { analyzeWithFailover, isRetryable, getProviderChain } = require('./vision-service');
+const { parseAnalysis, buildRepairPrompt, AnalysisParseError } = require('./analysis-schema');
+const { mergeAnalyses } = require('./scan-merger');
+const { findNafdacRecord, compareFields } = require('./verification-service');
+const { assessRisk } = require('./risk-scoring');
+const { normalizeBrandName, findBestBrandMatch } = require('./brand-matcher');
+const { checkPackDates } = require('./pack-dates');
+const { hashImage, saveScan } = require('./scan-store');
+const { computePerceptualHash } = require('./image-hash');
+const { findCachedAnalysis, storeAnalysis } = require('./analysis-cache');
+const { preprocessImage, ImagePreprocessError } = require('./image-preprocessor');
+const { decodeBarcodes, applyBarcodeData, emptyBarcodeSummary } = require('./barcode-service');
+const { resolveGtin } = require('./gtin-mapping');
+
+// System prompt for Llama
+const SYSTEM_PROMPT = `You are a pharmaceutical identification assistant specializing in Nigerian medications. 
+Analyze medication packaging images and extract drug information. 
+Always respond with valid JSON only, no markdown formatting or explanation outside the JSON.
+Focus on accurately extracting NAFDAC registration numbers and all visible text.`;
+
+// Analysis prompt
+const ANALYSIS_PROMPT = `Analyze this medication packaging image. Extract all visible information and return a JSON object with these exact fields:
+
+{
+  "identified": boolean,
+  "confidence": number between 0.0 and 1.0,
+  "brand_name": string or null,
+  "generic_name": string or null,
+  "nafdac_number": string or null (look for NAFDAC REG NO or similar),
+  "manufacturer": string or null,
+  "strength": string or null (e.g., "500mg"),
+  "dosage_form": string or null (tablet, capsule, syrup, etc.),
+  "pack_size": string or null (e.g., "24 tablets"),
+  "batch_number": string or null,
+  "expiry_date": string or null,
+  "manufacturing_date": string or null,
+  "country_of_origin": string or null,
+  "active_ingredients": array of strings or null,
+  "storage_instructions": string or null,
+  "prescription_required": boolean or null,
+  "warnings_visible": array of strings or null,
+  "description": brief description of what the medication is for,
+  "verification_notes": any concerns about authenticity,
+  "image_quality": "good", "fair", or "poor",
+  "suggestions": suggestions if information is unclear or incomplete
+}
+
+Important:
+- Extract information exactly as shown on packaging
+- For NAFDAC number, look for patterns like "NAFDAC REG NO:", "NAFDAC:", "A4-XXXX", "B2-XXXX"
+- If information is not visible or unclear, use null
+- If you cannot identify the medication at all, set identified to false
+- Return ONLY the JSON object, no other text`;
+
+// Shortest brand search used when retrying a misread name
+const BRAND_PREFIX_LENGTH = 4;
+
+// Added to the prompt when several photos of one pack are sent together
+const MULTI_IMAGE_NOTE = `
+You are given several photos of the SAME medication pack (front, back, sides).
+Combine what is visible across all photos into a single JSON object.`;
+
+// Maximum images per scan (override with MAX_SCAN_IMAGES)
+const MAX_SCAN_IMAGES = parseInt(process.env.MAX_SCAN_IMAGES, 10) || 4;
+
+// How multiple images are sent to the model
+const SCAN_MODES = ['separate', 'combined'];
+
+/**
+ * Convert an uploaded file into a vision image input
+ *
+ * @param {Object} file - Multer file ({ buffer, mimetype, originalname, size })
+ * @param {number} index - Position of the image in the scan
+ * @returns {Object} { index, filename, size, mimetype, buffer, sha256, dataUri }
+ */
+function toImageInput(file, index) {
+  const mimeType = file.mimetype || 'image/jpeg';
+  return {
+    index,
+    filename: file.originalname || null,
+    size: file.size,
+    mimetype: mimeType,
+    buffer: file.buffer,
+    sha256: hashImage(file.buffer),
+    dataUri: `data:${mimeType};base64,${file.buffer.toString('base64')}`,
+  };
+}
+
+/**
+ * Get the longest image side to send to the model
+ *
+ * Uses VISION_MAX_IMAGE_DIMENSION if set, otherwise the smallest limit in the
+ * provider chain so the image fits whichever provider ends up answering.
+ *
+ * @returns {number} Maximum width/height in pixels
+ */
+function getMaxImageDimension() {
+  const configured = parseInt(process.env.VISION_MAX_IMAGE_DIMENSION, 10);
+  if (configured > 0) return configured;
+
+  const limits = getProviderChain()
+    .map(name => {
+      try {
+        return getProvider(name).maxImageDimension;
+      } catch {
+        return null;
+      }
+    })
+    .filter(limit => limit > 0);
+
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Validate and preprocess an uploaded file, then convert it to a vision image input
+ *
+ * The SHA-256 is taken from the original upload so the scan history records
+ * exactly what the user sent. Barcodes are decoded from the original too,
+ * since downscaling can make dense DataMatrix codes unreadable.
+ *
+ * @param {Object} file - Multer file ({ buffer, mimetype, originalname, size })
+ * @param {number} index - Position of the image in the scan
+ * @param {number} maxDimension - Longest side to downscale to
+ * @returns {Promise<Object>} Image input with preprocessing, quality and barcode details
+ * @throws {ImagePreprocessError} If the file isn't a readable, non-blank image
+ */
+async function prepareImage(file, index, maxDimension = getMaxImageDimension()) {
+  const processed = await preprocessImage(file.buffer, { maxDimension, index });
+  const barcodes = await decodeBarcodes(file.buffer);
+
+  return {
+    ...toImageInput({
+      ...file,
+      buffer: processed.buffer,
+      mimetype: processed.mimetype,
+      size: processed.buffer.length,
+    }, index),
+    sha256: hashImage(file.buffer),
+    preprocessing: { ...processed.preprocessing, client_mimetype: file.mimetype || null },
+    quality_check: processed.quality,
+    barcodes,
+  };
+}
+
+/**
+ * Preprocess every uploaded file of a scan (one at a time to limit memory)
+ *
+ * @param {Array<Object>} files - Multer files
+ * @returns {Promise<Array<Object>>} Image inputs
+ * @throws {ImagePreprocessError} If any file is rejected
+ */
+async function prepareImages(files) {
+  const maxDimension = getMaxImageDimension();
+  const images = [];
+  for (let index = 0; index < files.length; index++) {
+    images.push(await prepareImage(files[index], index, maxDimension));
+  }
+  return images;
+}
+
+/**
+ * Run the vision model on one or more images and validate the output
+ *
+ * Re-prompts once with the validation errors if the output is invalid.
+ *
+ * @param {Array<Object>} images - Image inputs from toImageInput
+ * @param {string} prompt - Analysis prompt
+ * @param {Object} options - { signal } to cancel the vision calls
+ * @returns {Promise<Object>} { parsed, visionResult, reprompted }
+ * @throws {VisionProviderError} If every provider fails
+ * @throws {AnalysisParseError} If the output is still invalid after re-prompting
+ */
+async function extractAnalysis(images, prompt = ANALYSIS_PROMPT, options = {}) {
+  const visionInput = {
+    systemPrompt: SYSTEM_PROMPT,
+    prompt: prompt,
+    images: images.map(image => ({ dataUri: image.dataUri })),
+    maxTokens: 1500,
+    temperature: 0.1,
+  };
+
+  const visionResult = await analyzeWithFailover(visionInput, { signal: options.signal });
+  console.log(`Vision result from ${visionResult.provider} (attempt ${visionResult.attempt})`);
+
+  // Parse and validate the model output against the analysis schema
+  let parsed = parseAnalysis(visionResult.content);
+  let reprompted = false;
+
+  if (!parsed.valid) {
+    console.error('Analysis validation failed:', parsed.errors.join('; '));
+    console.error('Raw content:', visionResult.content);
+
+    // Re-prompt once with the validation errors
+    try {
+      const repairResult = await analyzeWithFailover({
+        ...visionInput,
+        prompt: buildRepairPrompt(visionResult.content, parsed.errors),
+        temperature: 0,
+      }, { signal: options.signal });
+      reprompted = true;
+      parsed = parseAnalysis(repairResult.content);
+    } catch (error) {
+      if (!(error instanceof VisionProviderError)) {
+        throw error;
+      }
+      console.error(`Re-prompt failed: ${error.code} - ${error.message}`);
+    }
+
+    if (!parsed.valid) {
+      throw new AnalysisParseError('Failed to parse analysis result', parsed.errors);
+    }
+  }
+
+  return { parsed, visionResult, reprompted };
+}
+
+/**
+ * Summarize a vision result for the response
+ *
+ * @param {Object} visionResult - Result from analyzeWithFailover
+ * @returns {Object} Inference metadata
+ */
+function describeInference(visionResult) {
+  return {
+    provider: visionResult.provider,
+    model: visionResult.model,
+    attempt: visionResult.attempt,
+    total_attempts: visionResult.total_attempts,
+    attempts: visionResult.attempts,
+  };
+}
+
+/**
+ * Get the effective scan mode (a single image is always 'separate')
+ *
+ * @param {Array<Object>} images - Image inputs
+ * @param {string} mode - Requested mode
+ * @returns {string} 'separate' or 'combined'
+ */
+function resolveScanMode(images, mode) {
+  return images.length > 1 && mode === 'combined' ? 'combined' : 'separate';
+}
+
+/**
+ * Extract drug information from one or more photos of the same pack
+ *
+ * - separate: one model call per image, results merged with per-field provenance
+ * - combined: all images in a single model call
+ *
+ * @param {Array<Object>} images - Image inputs from toImageInput
+ * @param {Object} options - { mode: 'separate' | 'combined', signal }
+ * @returns {Promise<Object>} { analysis, provenance, conflicts, images, parsing, inference, mode }
+ */
+async function extractFromImages(images, options = {}) {
+  const mode = resolveScanMode(images, options.mode);
+
+  if (mode === 'combined') {
+    const { parsed, visionResult, reprompted } = await extractAnalysis(
+      images,
+      ANALYSIS_PROMPT + MULTI_IMAGE_NOTE,
+      { signal: options.signal }
+    );
+
+    const provenance = {};
+    for (const [field, value] of Object.entries(parsed.value)) {
+      if (value !== null) {
+        provenance[field] = { source: 'combined', images: images.map(image => image.index) };
+      }
+    }
+
+    return {
+      mode,
+      analysis: parsed.value,
+      provenance,
+      conflicts: [],
+      images: images.map(describeImage),
+      parsing: {
+        repaired: parsed.repaired,
+        reprompted,
+        coerced: parsed.coerced,
+        dropped: parsed.dropped,
+      },
+      inference: describeInference(visionResult),
+    };
+  }
+
+  // Separate mode: analyze each image on its own, then merge
+  const perImage = [];
+  for (const image of images) {
+    console.log(`Processing image ${image.index + 1}/${images.length}: ${image.size} bytes`);
+    const { parsed, visionResult, reprompted } = await extractAnalysis([image], ANALYSIS_PROMPT, { signal: options.signal });
+    perImage.push({ image, parsed, visionResult, reprompted });
+  }
+
+  const merged = mergeAnalyses(perImage.map(item => ({
+    index: item.image.index,
+    analysis: item.parsed.value,
+  })));
+
+  return {
+    mode,
+    analysis: merged.analysis,
+    provenance: merged.provenance,
+    conflicts: merged.conflicts,
+    images: perImage.map(item => ({
+      ...describeImage(item.image),
+      analysis: images.length > 1 ? item.parsed.value : undefined,
+      inference: images.length > 1 ? describeInference(item.visionResult) : undefined,
+    })),
+    parsing: {
+      repaired: perImage.some(item => item.parsed.repaired),
+      reprompted: perImage.some(item => item.reprompted),
+      coerced: perImage.flatMap(item =>
+        item.parsed.coerced.map(entry => ({ ...entry, image: item.image.index }))
+      ),
+      dropped: perImage.flatMap(item =>
+        item.parsed.dropped.map(entry => ({ ...entry, image: item.image.index }))
+      ),
+    },
+    inference: describeInference(perImage[0].visionResult),
+  };
+}
+
+/**
+ * Extract drug information, reusing the cached result for a repeated upload
+ *
+ * Images are matched by their exact bytes (SHA-256). The perceptual hash is
+ * still computed and recorded with the scan, but never used to reuse another
+ * upload's fields.
+ *
+ * @param {Array<Object>} images - Image inputs from toImageInput
+ * @param {Object} options - { mode, cache: false to skip the cache }
+ * @returns {Promise<Object>} Result of extractFromImages with cache: { hit, age_seconds }
+ */
+async function extractWithCache(images, options = {}) {
+  if (options.cache === false) {
+    return { ...(await extractFromImages(images, options)), cache: { hit: false } };
+  }
+
+  const mode = resolveScanMode(images, options.mode);
+  for (const image of images) {
+    if (image.phash === undefined) {
+      image.phash = await computePerceptualHash(image.buffer);
+    }
+  }
+
+  const cached = await findCachedAnalysis(images, mode);
+  if (cached) {
+    return {
+      ...cached.extraction,
+      // Keep the per-image results, but describe the images of this request
+      images: cached.extraction.images.map((entry, i) => ({ ...entry, ...describeImage(images[i]) })),
+      cache: { hit: true, age_seconds: cached.age_seconds },
+    };
+  }
+
+  const extraction = await extractFromImages(images, options);
+  await storeAnalysis(images, mode, extraction);
+  return { ...extraction, cache: { hit: false } };
+}
+
+/**
+ * Describe an image for the response (without its data)
+ *
+ * @param {Object} image - Image input
+ * @returns {Object} Image metadata
+ */
+function describeImage(image) {
+  return {
+    index: image.index,
+    filename: image.filename,
+    size: image.size,
+    mimetype: image.mimetype,
+    sha256: image.sha256,
+    phash: image.phash || null,
+    preprocessing: image.preprocessing,
+    quality_check: image.quality_check,
+    barcodes: image.barcodes || [],
+  };
+}
+
+// Image quality levels from worst to best
+const QUALITY_LEVELS = ['poor', 'fair', 'good'];
+
+/**
+ * Summarize the quality pre-check across a scan's images
+ *
+ * @param {Array<Object>} images - Image inputs from prepareImage
+ * @returns {Object|null} { level, issues, images } for the worst image, or null if not checked
+ */
+function summarizeQualityCheck(images) {
+  const checked = images.filter(image => image.quality_check);
+  if (checked.length === 0) return null;
+
+  const worst = checked.reduce((a, b) =>
+    QUALITY_LEVELS.indexOf(b.quality_check.level) < QUALITY_LEVELS.indexOf(a.quality_check.level) ? b : a
+  );
+
+  return {
+    level: worst.quality_check.level,
+    issues: [...new Set(checked.flatMap(image => image.quality_check.issues))],
+    images: checked.map(image => ({ index: image.index, ...image.quality_check })),
+  };
+}
+
+/**
+ * Search EMDEX brands and return transformed results
+ *
+ * @param {string} query - Search query
+ * @param {number} ttlSeconds - Cache TTL
+ * @returns {Promise<Array>} Transformed brand results
+ */
+async function searchBrands(query, ttlSeconds) {
+  const emdexResponse = await cachedEmdexRequest(
+    '/api/v1/brands/search',
+    { query },
+    ttlSeconds
+  );
+
+  // Remove cache metadata
+  if (emdexResponse._cache) {
+    delete emdexResponse._cache;
+  }
+
+  return transformBrandResults(emdexResponse);
+}
+
+/**
+ * Find the registry record that best matches a brand name read off a pack
+ *
+ * Searches with the normalized name first; if nothing scores above the
+ * threshold (e.g. an OCR slip breaks the EMDEX search), retries with the
+ * longest word of the name and then its first few letters.
+ *
+ * @param {string} brandName - Brand name from the analysis
+ * @returns {Promise<Object|null>} Best match (with match_score) or null
+ */
+async function findBrandRecord(brandName) {
+  const normalized = normalizeBrandName(brandName);
+  if (!normalized) return null;
+
+  const longest = normalized.split(' ').sort((a, b) => b.length - a.length)[0];
+  const fallbacks = [longest, longest.slice(0, BRAND_PREFIX_LENGTH)]
+    .filter(query => query.length >= BRAND_PREFIX_LENGTH);
+  const queries = [...new Set([normalized, ...fallbacks])];
+
+  for (const query of queries) {
+    const results = await searchBrands(query, CACHE_TTL.SEARCH);
+    const match = findBestBrandMatch(brandName, results);
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Look up the drug a scanned GTIN is mapped to
+ *
+ * Never throws - a mapping or EMDEX failure just means no GTIN match.
+ *
+ * @param {string} gtin - GTIN-14 from the barcode
+ * @returns {Promise<Object|null>} { gtin, drug_id, source, record } or null if not mapped
+ */
+async function findGtinRecord(gtin) {
+  try {
+    const result = await resolveGtin(gtin);
+    if (!result?.drug) return null;
+    return { gtin: result.mapping.gtin, drug_id: result.mapping.drug_id, source: result.mapping.source, record: result.drug };
+  } catch (error) {
+    console.error(`[GTIN] Lookup failed for ${gtin}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Verify extracted drug information against EMDEX
+ *
+ * The scan only counts as verified when the NAFDAC number is registered and
+ * the registry record agrees with the pack (brand, manufacturer, strength).
+ * A brand-name or barcode (GTIN) match alone is reported as 'brand_only',
+ * never as verified.
+ *
+ * Never throws for EMDEX failures - verification is reported as unavailable.
+ *
+ * @param {Object} analysisResult - Validated analysis result
+ * @returns {Promise<Object>} Verification result
+ */
+async function verifyAnalysis(analysisResult) {
+  let verification = {
+    verified: false,
+    status: 'not_found',
+    match_method: null,
+    source: null,
+    emdex_drug: null,
+    brand_match: null,
+    field_checks: null,
+    verified_at: null,
+  };
+
+  const nafdacNumber = analysisResult.nafdac_number;
+  const hasNafdac = !!(nafdacNumber && nafdacNumber.trim() !== '');
+
+  if (!hasNafdac && !analysisResult.brand_name && !analysisResult.gtin) {
+    console.log('[EMDEX] No NAFDAC number, brand name or barcode found, skipping verification');
+    verification.status = 'skipped';
+    return verification;
+  }
+
+  try {
+    if (hasNafdac) {
+      console.log(`[EMDEX] Verifying NAFDAC number: ${nafdacNumber}`);
+
+      // Look up the registration number (normalized, then likely OCR variants)
+      const lookup = await findNafdacRecord(nafdacNumber);
+
+      verification.nafdac = {
+        raw: nafdacNumber,
+        normalized: lookup.nafdac.normalized,
+        valid: lookup.nafdac.valid,
+        errors: lookup.nafdac.errors,
+        matched_query: lookup.matched_query,
+        match_type: lookup.match_type,
+      };
+
+      if (lookup.record) {
+        const comparison = compareFields(analysisResult, lookup.record);
+        const agrees = comparison.disagreed.length === 0;
+
+        verification = {
+          ...verification,
+          verified: agrees,
+          status: agrees ? 'verified' : 'mismatch',
+          match_method: 'nafdac',
+          source: 'EMDEX/NAFDAC Database',
+          emdex_drug: lookup.record,
+          field_checks: comparison,
+          verified_at: new Date().toISOString(),
+        };
+        console.log(`[EMDEX] NAFDAC ${lookup.record.nafdac_number} -> ${lookup.record.brand_name} (${verification.status})`);
+      }
+    } else {
+      console.log('[EMDEX] No NAFDAC number found, checking brand name only');
+    }
+
+    // A scanned barcode mapped to a drug identifies the product independently of the print
+    if (analysisResult.gtin) {
+      const gtinMatch = await findGtinRecord(analysisResult.gtin);
+
+      if (gtinMatch) {
+        verification.gtin = {
+          gtin: gtinMatch.gtin,
+          drug_id: gtinMatch.drug_id,
+          source: gtinMatch.source,
+          brand_name: gtinMatch.record.brand_name,
+          nafdac_number: gtinMatch.record.nafdac_number,
+          agrees: verification.emdex_drug ? verification.emdex_drug.id === gtinMatch.drug_id : null,
+        };
+
+        if (!verification.emdex_drug) {
+          verification = {
+            ...verification,
+            status: 'brand_only',
+            match_method: 'gtin',
+            source: 'EMDEX/NAFDAC Database',
+            emdex_drug: gtinMatch.record,
+            field_checks: compareFields(analysisResult, gtinMatch.record),
+          };
+        }
+        console.log(`[GTIN] ${gtinMatch.gtin} -> ${gtinMatch.record.brand_name} (${gtinMatch.source} mapping)`);
+      } else {
+        verification.gtin = { gtin: analysisResult.gtin, drug_id: null, source: null, agrees: null };
+      }
+    }
+
+    // If not verified by NAFDAC, look the brand up so mismatches can be explained
+    if (!verification.verified && analysisResult.brand_name) {
+      console.log(`[EMDEX] Searching by brand name: ${analysisResult.brand_name}`);
+      
+      const brandMatch = await findBrandRecord(analysisResult.brand_name);
+
+      if (brandMatch) {
+        verification.brand_match = brandMatch;
+
+        // Without a registered NAFDAC number, the brand record is the best we have
+        if (!verification.emdex_drug) {
+          verification = {
+            ...verification,
+            status: 'brand_only',
+            match_method: 'brand_name',
+            source: 'EMDEX/NAFDAC Database',
+            emdex_drug: brandMatch,
+            field_checks: compareFields(analysisResult, brandMatch),
+          };
+        }
+        console.log(`[EMDEX] Brand search matched: ${brandMatch.brand_name} (${brandMatch.nafdac_number}, score ${brandMatch.match_score})`);
+      }
+    }
+
+  } catch (emdexError) {
+    console.error('[EMDEX] Verification error:', emdexError.message);
+    // Continue without verification - don't fail the whole request
+    verification.status = 'unavailable';
+    verification.error = 'EMDEX verification temporarily unavailable';
+  }
+
+  return verification;
+}
+
+/**
+ * Build the enhanced analyze response
+ *
+ * @param {Object} extraction - Result from extractFromImages (with barcode data applied)
+ * @param {Object} verification - Result from verifyAnalysis
+ * @returns {Object} Response body
+ */
+function buildAnalysisResponse(extraction, verification) {
+  const analysisResult = extraction.analysis;
+  const dates = checkPackDates(analysisResult);
+  const barcode = extraction.barcode || emptyBarcodeSummary();
+
+  return {
+    success: true,
+    analysis: analysisResult,
+    verification: verification,
+    risk: assessRisk(analysisResult, verification, { conflicts: extraction.conflicts, dates, barcode }),
+    dates: {
+      expiry: dates.expiry,
+      manufacturing: dates.manufacturing,
+      status: dates.status,
+      days_until_expiry: dates.days_until_expiry,
+    },
+    warnings: dates.warnings,
+    scan: {
+      mode: extraction.mode,
+      image_count: extraction.images.length,
+      images: extraction.images,
+      provenance: extraction.provenance,
+      conflicts: extraction.conflicts,
+    },
+    has_conflicts: extraction.conflicts.length > 0,
+    barcode,
+    quality_check: summarizeQualityCheck(extraction.images),
+    parsing: extraction.parsing,
+    inference: extraction.inference,
+    cached: extraction.cache?.hit === true,
+    cache: extraction.cache || { hit: false },
+    // Computed fields for easy access
+    is_verified: verification.verified,
+    is_expired: dates.is_expired,
+    display_brand_name: verification.emdex_drug?.brand_name || analysisResult.brand_name || null,
+    display_generic_name: verification.emdex_drug?.generic_name || analysisResult.generic_name || null,
+    display_manufacturer: verification.emdex_drug?.manufacturer || analysisResult.manufacturer || null,
+    display_nafdac_number: verification.emdex_drug?.nafdac_number || analysisResult.nafdac_number || null,
+  };
+}
+
+/**
+ * Save a response to the scan history and add its scan_id
+ *
+ * Never throws - a history failure shouldn't fail the scan itself.
+ *
+ * @param {Object} response - Response from buildAnalysisResponse
+ * @param {Object} options - { api_key_id } of the client that made the scan
+ * @returns {Promise<Object>} Response with scan_id (null if not saved)
+ */
+async function recordScan(response, options = {}) {
+  try {
+    const record = await saveScan(response, options);
+    return { ...response, scan_id: record ? record.id : null };
+  } catch (error) {
+    console.error('[ScanStore] Failed to save scan:', error.message);
+    return { ...response, scan_id: null };
+  }
+}
+
+/**
+ * Analyze one or more photos of a pack end to end
+ *
+ * options.onProgress(stage, data) is called as each step finishes, so callers
+ * can show partial results early:
+ * - extraction - { analysis, barcode, cached, quality_check } before any EMDEX call
+ * - verification_started - { nafdac_number, brand_name, gtin } being looked up
+ * - verification - result of verifyAnalysis
+ *
+ * options.signal cancels the vision calls and stops before verification and
+ * scan history, so an abandoned run doesn't keep spending.
+ *
+ * @param {Array<Object>} images - Image inputs from toImageInput
+ * @param {Object} options - { mode, api_key_id, signal, cache: false to skip the analysis cache, persist: false to skip scan history, onProgress }
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} The signal's reason if cancelled
+ */
+async function runAnalysis(images, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
+  // Barcodes are applied after the cache so a cached extraction is still
+  // checked against the codes on the photos just uploaded
+  const extraction = applyBarcodeData(await extractWithCache(images, options), images);
+  options.signal?.throwIfAborted();
+  onProgress('extraction', {
+    analysis: extraction.analysis,
+    barcode: extraction.barcode,
+    cached: extraction.cache?.hit === true,
+    quality_check: summarizeQualityCheck(extraction.images),
+  });
+
+  onProgress('verification_started', {
+    nafdac_number: extraction.analysis.nafdac_number || null,
+    brand_name: extraction.analysis.brand_name || null,
+    gtin: extraction.analysis.gtin || null,
+  });
+  const verification = await verifyAnalysis(extraction.analysis);
+  options.signal?.throwIfAborted();
+  onProgress('verification', verification);
+
+  const response = buildAnalysisResponse(extraction, verification);
+  return options.persist === false ? response : recordScan(response, { api_key_id: options.api_key_id });
+}
+
+/**
+ * Map a pipeline error to an HTTP status and response body
+ *
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Object|null} { status, body } or null if the error is unexpected
+ */
+function getErrorResponse(error) {
+  if (error instanceof ImagePreprocessError) {
+    return {
+      status: 400,
+      body: { error: error.message, code: error.code, image: error.imageIndex },
+    };
+  }
+
+  if (error instanceof AnalysisParseError) {
+    return {
+      status: 500,
+      body: { error: 'Failed to parse analysis result', validation_errors: error.errors },
+    };
+  }
+
+  if (error instanceof VisionProviderError) {
+    console.error(`Vision provider error: ${error.code} - ${error.message}`);
+    const attempts = error.attempts || [];
+
+    if (error.code === 'NOT_CONFIGURED' || error.code === 'UNKNOWN_PROVIDER') {
+      return { status: 500, body: { error: 'Server configuration error', attempts } };
+    } else if (error.code === 'AUTH_FAILED') {
+      return { status: 500, body: { error: 'API authentication failed', attempts } };
+    } else if (isRetryable(error)) {
+      return { status: 503, body: { error: 'Service temporarily unavailable', attempts } };
+    }
+    return { status: 500, body: { error: 'Analysis service error', attempts } };
+  }
+
+  return null;
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  ANALYSIS_PROMPT,
+  MAX_SCAN_IMAGES,
+  SCAN_MODES,
+  toImageInput,
+  describeImage,
+  prepareImage,
+  prepareImages,
+  getMaxImageDimension,
+  extractAnalysis,
+  extractFromImages,
+  extractWithCache,
+  verifyAnalysis,
+  buildAnalysisResponse,
+  recordScan,
+  runAnalysis,
+  getErrorResponse,
+};
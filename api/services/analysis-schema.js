@@ -0,0 +1,451 @@
+/**
+ * Analysis Schema
+ *
+ * Formal schema for the fields requested by the analyze prompt, plus a
+ * tolerant parser for the model's output:
+ *
+ * - Finds the JSON object inside surrounding prose or markdown fences
+ * - Repairs common syntax slips (single quotes, trailing commas, Python literals)
+ * - Coerces values to the schema types and reports what was coerced or dropped
+ */
+
+// Field definitions for the analysis result
+const ANALYSIS_SCHEMA = {
+  identified: { type: 'boolean', required: true },
+  confidence: { type: 'number', min: 0, max: 1 },
+  brand_name: { type: 'string' },
+  generic_name: { type: 'string' },
+  nafdac_number: { type: 'string' },
+  manufacturer: { type: 'string' },
+  strength: { type: 'string' },
+  dosage_form: { type: 'string' },
+  pack_size: { type: 'string' },
+  batch_number: { type: 'string' },
+  expiry_date: { type: 'string' },
+  manufacturing_date: { type: 'string' },
+  country_of_origin: { type: 'string' },
+  active_ingredients: { type: 'string[]' },
+  storage_instructions: { type: 'string' },
+  prescription_required: { type: 'boolean' },
+  warnings_visible: { type: 'string[]' },
+  description: { type: 'string' },
+  verification_notes: { type: 'string' },
+  image_quality: { type: 'enum', values: ['good', 'fair', 'poor'] },
+  suggestions: { type: 'string' },
+};
+
+// String values the model uses to mean "not visible"
+const NULL_STRINGS = ['', 'null', 'none', 'n/a', 'na', 'unknown', 'not visible', 'not available', 'undefined'];
+
+const TRUE_STRINGS = ['true', 'yes', 'y', '1'];
+const FALSE_STRINGS = ['false', 'no', 'n', '0'];
+
+/**
+ * Custom error class for unparseable model output
+ */
+class AnalysisParseError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AnalysisParseError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Find the first balanced {...} block in text, respecting quoted strings
+ *
+ * @param {string} text - Raw text
+ * @returns {string|null} The object text or null if none found
+ */
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.substring(start, i + 1);
+      }
+    }
+  }
+
+  // Unbalanced (truncated output) - return the rest and let repair try
+  return text.substring(start);
+}
+
+/**
+ * Convert single-quoted strings to double-quoted JSON strings
+ *
+ * @param {string} text - JSON-like text
+ * @returns {string} Text with double-quoted strings
+ */
+function convertSingleQuotes(text) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!quote) {
+      if (char === '"' || char === '\'') {
+        quote = char;
+        result += '"';
+      } else {
+        result += char;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      result += char + (text[i + 1] || '');
+      i++;
+    } else if (char === quote) {
+      quote = null;
+      result += '"';
+    } else if (char === '"' && quote === '\'') {
+      result += '\\"';
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply a transform only to the parts of JSON text outside string literals
+ *
+ * @param {string} text - JSON-like text using double-quoted strings
+ * @param {Function} transform - Function applied to each non-string segment
+ * @returns {string} Transformed text
+ */
+function transformOutsideStrings(text, transform) {
+  const stringPattern = /"(?:[^"\\]|\\.)*"/g;
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = stringPattern.exec(text)) !== null) {
+    result += transform(text.substring(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + transform(text.substring(lastIndex));
+}
+
+/**
+ * Attempt to repair almost-JSON text
+ *
+ * @param {string} text - JSON-like text
+ * @returns {string} Repaired text
+ */
+function repairJson(text) {
+  let repaired = transformOutsideStrings(convertSingleQuotes(text), segment => segment
+    // Python / JS literals
+    .replace(/\bTrue\b/g, 'true')
+    .replace(/\bFalse\b/g, 'false')
+    .replace(/\b(None|undefined)\b/g, 'null')
+    // Unquoted keys
+    .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+    // Trailing commas
+    .replace(/,\s*([}\]])/g, '$1'));
+
+  // Close a truncated object
+  const opens = (repaired.match(/{/g) || []).length;
+  const closes = (repaired.match(/}/g) || []).length;
+  if (opens > closes) {
+    repaired = repaired.replace(/,\s*$/, '') + '}'.repeat(opens - closes);
+  }
+
+  return repaired;
+}
+
+/**
+ * Extract a JSON object from raw model output
+ *
+ * @param {string} content - Raw model output
+ * @returns {Object} { data, repaired }
+ * @throws {AnalysisParseError} If no object can be recovered
+ */
+function extractJsonObject(content) {
+  if (!content || typeof content !== 'string') {
+    throw new AnalysisParseError('Model output is empty', ['Output was empty']);
+  }
+
+  // Remove markdown code fences anywhere in the output
+  const unfenced = content.replace(/```(?:json)?/gi, '').trim();
+
+  const objectText = findJsonObject(unfenced);
+  if (!objectText) {
+    throw new AnalysisParseError('No JSON object found in model output', ['Output did not contain a JSON object']);
+  }
+
+  try {
+    return { data: JSON.parse(objectText), repaired: false };
+  } catch (e) {
+    // Fall through to repair
+  }
+
+  try {
+    const data = JSON.parse(repairJson(objectText));
+    return { data, repaired: true };
+  } catch (e) {
+    throw new AnalysisParseError(
+      `Could not parse JSON from model output: ${e.message}`,
+      [`Output was not valid JSON: ${e.message}`]
+    );
+  }
+}
+
+/**
+ * Coerce a single value to a schema field type
+ *
+ * @param {*} value - Raw value
+ * @param {Object} field - Schema field definition
+ * @returns {Object} { ok, value }
+ */
+function coerceValue(value, field) {
+  if (value === null || value === undefined) {
+    return { ok: true, value: null };
+  }
+
+  if (typeof value === 'string' && NULL_STRINGS.includes(value.trim().toLowerCase())) {
+    return { ok: true, value: null };
+  }
+
+  switch (field.type) {
+    case 'boolean': {
+      if (typeof value === 'boolean') return { ok: true, value };
+      const normalized = String(value).trim().toLowerCase();
+      if (TRUE_STRINGS.includes(normalized)) return { ok: true, value: true };
+      if (FALSE_STRINGS.includes(normalized)) return { ok: true, value: false };
+      return { ok: false };
+    }
+
+    case 'number': {
+      let number = value;
+      if (typeof number === 'string') {
+        const isPercent = number.trim().endsWith('%');
+        number = parseFloat(number.replace(/[^0-9.\-]/g, ''));
+        if (isPercent && !Number.isNaN(number)) number = number / 100;
+      }
+      if (typeof number !== 'number' || Number.isNaN(number)) return { ok: false };
+
+      // Confidence given as a percentage (e.g., 95)
+      if (field.max === 1 && number >= 2 && number <= 100) number = number / 100;
+      if (field.min !== undefined) number = Math.max(field.min, number);
+      if (field.max !== undefined) number = Math.min(field.max, number);
+      return { ok: true, value: number };
+    }
+
+    case 'string': {
+      if (typeof value === 'string') return { ok: true, value: value.trim() };
+      if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+      if (Array.isArray(value)) {
+        const joined = value.filter(item => item !== null && item !== undefined).join(', ');
+        return { ok: true, value: joined || null };
+      }
+      return { ok: false };
+    }
+
+    case 'string[]': {
+      if (Array.isArray(value)) {
+        const items = value
+          .filter(item => item !== null && item !== undefined)
+          .map(item => (typeof item === 'object' ? item.name || JSON.stringify(item) : String(item).trim()))
+          .filter(item => item.length > 0);
+        return { ok: true, value: items };
+      }
+      if (typeof value === 'string') {
+        const items = value.split(/[,;\n]+/).map(item => item.trim()).filter(item => item.length > 0);
+        return { ok: true, value: items };
+      }
+      return { ok: false };
+    }
+
+    case 'enum': {
+      const normalized = String(value).trim().toLowerCase();
+      if (field.values.includes(normalized)) return { ok: true, value: normalized };
+      return { ok: false };
+    }
+
+    default:
+      return { ok: true, value };
+  }
+}
+
+/**
+ * Check whether a coerced value differs from the raw value
+ *
+ * @param {*} raw - Raw value
+ * @param {*} coerced - Coerced value
+ * @returns {boolean} True if the value changed
+ */
+function valueChanged(raw, coerced) {
+  if (raw === undefined) return false;
+  return JSON.stringify(raw) !== JSON.stringify(coerced);
+}
+
+/**
+ * Validate and coerce a parsed object against the analysis schema
+ *
+ * @param {*} data - Parsed model output
+ * @returns {Object} { value, coerced, dropped, errors, valid }
+ */
+function validateAnalysis(data) {
+  const coerced = [];
+  const dropped = [];
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      value: null,
+      coerced,
+      dropped,
+      errors: ['Output must be a JSON object'],
+      valid: false,
+    };
+  }
+
+  for (const [name, field] of Object.entries(ANALYSIS_SCHEMA)) {
+    const raw = data[name];
+
+    if (raw === undefined) {
+      value[name] = null;
+      if (field.required) {
+        errors.push(`Missing required field "${name}"`);
+      }
+      continue;
+    }
+
+    const result = coerceValue(raw, field);
+
+    if (!result.ok) {
+      value[name] = null;
+      dropped.push({ field: name, value: raw, reason: `Expected ${describeType(field)}` });
+      if (field.required) {
+        errors.push(`Field "${name}" must be ${describeType(field)}, got ${JSON.stringify(raw)}`);
+      }
+      continue;
+    }
+
+    value[name] = result.value;
+    if (valueChanged(raw, result.value)) {
+      coerced.push({ field: name, from: raw, to: result.value });
+    }
+  }
+
+  // Fields outside the schema are dropped
+  for (const name of Object.keys(data)) {
+    if (!ANALYSIS_SCHEMA[name]) {
+      dropped.push({ field: name, value: data[name], reason: 'Unknown field' });
+    }
+  }
+
+  return {
+    value,
+    coerced,
+    dropped,
+    errors,
+    valid: errors.length === 0,
+  };
+}
+
+/**
+ * Describe a schema field type for error messages
+ *
+ * @param {Object} field - Schema field definition
+ * @returns {string} Human-readable type
+ */
+function describeType(field) {
+  switch (field.type) {
+    case 'string[]':
+      return 'an array of strings or null';
+    case 'enum':
+      return `one of ${field.values.map(v => `"${v}"`).join(', ')}`;
+    case 'number':
+      return field.min !== undefined && field.max !== undefined
+        ? `a number between ${field.min} and ${field.max}`
+        : 'a number';
+    default:
+      return `a ${field.type}${field.required ? '' : ' or null'}`;
+  }
+}
+
+/**
+ * Parse raw model output into a validated analysis result
+ *
+ * @param {string} content - Raw model output
+ * @returns {Object} { value, coerced, dropped, errors, valid, repaired }
+ */
+function parseAnalysis(content) {
+  try {
+    const { data, repaired } = extractJsonObject(content);
+    return { ...validateAnalysis(data), repaired };
+  } catch (error) {
+    if (!(error instanceof AnalysisParseError)) throw error;
+    return {
+      value: null,
+      coerced: [],
+      dropped: [],
+      errors: error.errors,
+      valid: false,
+      repaired: false,
+    };
+  }
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix its previous output
+ *
+ * @param {string} previousContent - The invalid output
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(previousContent, errors) {
+  const fields = Object.entries(ANALYSIS_SCHEMA)
+    .map(([name, field]) => `  "${name}": ${describeType(field)}`)
+    .join(',\n');
+
+  return `Your previous response could not be used. Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(previousContent || '').substring(0, 4000)}
+
+Look at the image again and return ONLY a valid JSON object with these fields:
+{
+${fields}
+}
+
+Use double quotes, no trailing commas, and no text outside the JSON object.`;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  AnalysisParseError,
+  extractJsonObject,
+  validateAnalysis,
+  parseAnalysis,
+  buildRepairPrompt,
+};
@@ -0,0 +1,603 @@
+/**
+ * API Keys
+ *
+ * Authenticates API clients. Keys are shown once when issued; only their
+ * SHA-256 hash is stored. Each key has scopes that decide which routes it
+ * can call:
+ * - analyze - /v1/analyze (all variants) and the scan workflow
+ * - search - drug search and NAFDAC verification
+ * - details - drug details, GTIN lookups and scan history
+ * - admin - key management, GTIN table edits and diagnostics (implies all scopes)
+ *
+ * Clients send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * ADMIN_API_KEY is an admin key from the environment, used to issue the
+ * first stored keys.
+ *
+ * Usage counts are collected in memory and written in batches (every
+ * USAGE_FLUSH_INTERVAL_MS or USAGE_FLUSH_MAX_REQUESTS requests), so requests
+ * never wait on a store write. Counts not yet flushed are lost if the
+ * instance stops.
+ *
+ * Storage goes through a driver, like the GTIN mappings:
+ * - file - JSON file (default, API_KEY_STORE_PATH; required outside local runs)
+ * - memory - in-process only, lost on cold starts
+ *
+ * Hosted stores plug in with registerApiKeyStoreDriver().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorePath } = require('./store-path');
+
+// Scopes a key can have
+const API_KEY_SCOPES = ['analyze', 'search', 'details', 'admin'];
+
+// Prefix of issued keys (helps secret scanners recognize them)
+const KEY_PREFIX = 'srx_';
+
+// Characters of the key kept for display
+const DISPLAY_PREFIX_LENGTH = 10;
+
+// ID reported for requests made with ADMIN_API_KEY
+const ENV_ADMIN_KEY_ID = 'env_admin';
+
+// Write pending usage counts at least this often...
+const USAGE_FLUSH_INTERVAL_MS = 5000;
+
+// ...or once this many requests are pending
+const USAGE_FLUSH_MAX_REQUESTS = 100;
+
+// HTTP status for each error code
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_SCOPE: 400,
+  NOT_FOUND: 404,
+};
+
+/**
+ * Custom error class for API key errors
+ */
+class ApiKeyError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup
+ *
+ * Keys are random 192-bit values, so a plain SHA-256 is enough.
+ *
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Add batched request counts to a key's usage
+ *
+ * @param {Object} record - Stored key
+ * @param {Object} entry - { counts: { total, <scope>: n }, last_used_at }
+ */
+function addUsage(record, entry) {
+  record.usage = record.usage || { total: 0 };
+  for (const [name, count] of Object.entries(entry.counts)) {
+    record.usage[name] = (record.usage[name] || 0) + count;
+  }
+  if (!record.last_used_at || entry.last_used_at > record.last_used_at) {
+    record.last_used_at = entry.last_used_at;
+  }
+}
+
+/**
+ * In-memory driver
+ *
+ * @returns {Object} Driver
+ */
+function createMemoryDriver() {
+  const keys = new Map();
+
+  return {
+    name: 'memory',
+    async get(id) {
+      return keys.get(id) || null;
+    },
+    async findByHash(hash) {
+      return Array.from(keys.values()).find(record => record.hash === hash) || null;
+    },
+    async list() {
+      return Array.from(keys.values());
+    },
+    async save(record) {
+      keys.set(record.id, record);
+    },
+    async recordUsage(entries) {
+      for (const entry of entries) {
+        const record = keys.get(entry.id);
+        if (record) addUsage(record, entry);
+      }
+    },
+  };
+}
+
+/**
+ * JSON file driver
+ *
+ * Keeps all keys in one file keyed by ID. Writes (including usage counts)
+ * are serialized so a usage update can't overwrite a revocation.
+ *
+ * @param {string} filePath - File to store keys in
+ * @returns {Object} Driver
+ * @throws {ApiKeyError} PATH_REQUIRED if API_KEY_STORE_PATH isn't set outside local runs
+ */
+function createFileDriver(filePath = getStorePath('API_KEY_STORE_PATH', 'scanrx-api-keys.json')) {
+  if (!filePath) {
+    throw new ApiKeyError(
+      `API_KEY_STORE_PATH is not set. Point it at persistent storage or choose a hosted API_KEY_STORE driver`,
+      'PATH_REQUIRED'
+    );
+  }
+
+  let writes = Promise.resolve();
+
+  const readAll = async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new ApiKeyError(`Failed to read API keys: ${error.message}`, 'READ_FAILED', error);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new ApiKeyError('API key file is not valid JSON', 'READ_FAILED', error);
+    }
+  };
+
+  const writeAll = async (keys) => {
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(keys, null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      throw new ApiKeyError(`Failed to write API keys: ${error.message}`, 'WRITE_FAILED', error);
+    }
+  };
+
+  // Run a read-modify-write after the previous one finishes
+  const update = (fn) => {
+    const run = writes.then(async () => {
+      const keys = await readAll();
+      fn(keys);
+      await writeAll(keys);
+    });
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: 'file',
+    path: filePath,
+    async get(id) {
+      return (await readAll())[id] || null;
+    },
+    async findByHash(hash) {
+      return Object.values(await readAll()).find(record => record.hash === hash) || null;
+    },
+    async list() {
+      return Object.values(await readAll());
+    },
+    async save(record) {
+      await update(keys => {
+        keys[record.id] = record;
+      });
+    },
+    async recordUsage(entries) {
+      await update(keys => {
+        for (const entry of entries) {
+          if (keys[entry.id]) addUsage(keys[entry.id], entry);
+        }
+      });
+    },
+  };
+}
+
+// Driver factories by name
+const driverFactories = {
+  file: createFileDriver,
+  memory: createMemoryDriver,
+};
+
+// Active driver (created on first use)
+let activeDriver = null;
+
+/**
+ * Register a storage driver factory
+ *
+ * A driver implements: async get(id), async findByHash(hash), async list(),
+ * async save(record) and async recordUsage(entries), where each entry is
+ * { id, counts: { total, <scope>: n }, last_used_at } to add to a key.
+ *
+ * @param {string} name - Driver name used in API_KEY_STORE
+ * @param {Function} factory - Returns a driver
+ */
+function registerApiKeyStoreDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new ApiKeyError('Invalid API key store driver', 'INVALID_DRIVER');
+  }
+  driverFactories[name] = factory;
+}
+
+/**
+ * Get the configured driver
+ *
+ * @returns {Object} Driver
+ * @throws {ApiKeyError} If API_KEY_STORE names an unknown driver
+ */
+function getApiKeyStore() {
+  const name = (process.env.API_KEY_STORE || 'file').toLowerCase().trim();
+
+  if (!activeDriver || activeDriver.configuredAs !== name) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new ApiKeyError(
+        `Unknown API key store: ${name}. Available: ${Object.keys(driverFactories).join(', ')}`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    activeDriver = { ...factory(), configuredAs: name };
+    console.log(`[Auth] Using ${activeDriver.name} API key store`);
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Replace the active driver (e.g., with a hosted store or for tests)
+ *
+ * @param {Object|null} driver - Driver instance, or null to reset to the configured one
+ */
+function setApiKeyStore(driver) {
+  activeDriver = driver ? { ...driver, configuredAs: (process.env.API_KEY_STORE || 'file').toLowerCase().trim() } : null;
+}
+
+/**
+ * Public view of a key (without its hash)
+ *
+ * @param {Object} record - Stored key
+ * @returns {Object} Key details
+ */
+function describeApiKey(record) {
+  const { hash, ...details } = record;
+  return details;
+}
+
+/**
+ * Validate requested scopes
+ *
+ * @param {*} scopes - Array of scope names
+ * @returns {Array<string>} Unique scopes
+ * @throws {ApiKeyError} If scopes are missing or unknown
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`, 'INVALID_SCOPE');
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ApiKeyError(`Unknown scope(s): ${unknown.join(', ')}. Use: ${API_KEY_SCOPES.join(', ')}`, 'INVALID_SCOPE');
+  }
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * Issue a new key
+ *
+ * @param {Object} input - { name, scopes }
+ * @returns {Promise<Object>} { key, api_key } - the key is only returned here
+ * @throws {ApiKeyError} If the input is invalid
+ */
+async function createApiKey(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new ApiKeyError('name is required', 'INVALID_REQUEST');
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: `key_${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    scopes: validateScopes(input.scopes),
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    hash: hashApiKey(key),
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+    last_used_at: null,
+    usage: { total: 0 },
+  };
+
+  await getApiKeyStore().save(record);
+  console.log(`[Auth] Issued API key ${record.id} (${record.name}) with scopes: ${record.scopes.join(', ')}`);
+
+  return { key, api_key: describeApiKey(record) };
+}
+
+/**
+ * List keys, newest first
+ *
+ * @param {Object} options - { include_revoked }
+ * @returns {Promise<Array<Object>>} Key details
+ */
+async function listApiKeys(options = {}) {
+  const records = await getApiKeyStore().list();
+  return records
+    .filter(record => options.include_revoked || !record.revoked_at)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(describeApiKey);
+}
+
+/**
+ * Get a key
+ *
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Key details or null
+ */
+async function getApiKey(id) {
+  const record = await getApiKeyStore().get(id);
+  return record ? describeApiKey(record) : null;
+}
+
+/**
+ * Revoke a key (revoking it again is a no-op)
+ *
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} Key details
+ * @throws {ApiKeyError} NOT_FOUND if the key doesn't exist
+ */
+async function revokeApiKey(id) {
+  const store = getApiKeyStore();
+  const record = await store.get(id);
+  if (!record) {
+    throw new ApiKeyError(`API key not found: ${id}`, 'NOT_FOUND');
+  }
+
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    await store.save(record);
+    console.log(`[Auth] Revoked API key ${record.id} (${record.name})`);
+  }
+
+  return describeApiKey(record);
+}
+
+/**
+ * Get the API key sent with a request
+ *
+ * @param {Object} req - Request
+ * @returns {string|null} Key from Authorization: Bearer or X-API-Key
+ */
+function getRequestApiKey(req) {
+  const authorization = req.headers?.authorization;
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+  }
+  return req.headers?.['x-api-key'] || null;
+}
+
+/**
+ * Look up an active key
+ *
+ * @param {string} key - API key
+ * @returns {Promise<Object|null>} { id, name, scopes }, or null if unknown or revoked
+ */
+async function verifyApiKey(key) {
+  const hash = hashApiKey(key);
+
+  if (process.env.ADMIN_API_KEY) {
+    const adminHash = hashApiKey(process.env.ADMIN_API_KEY);
+    if (crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(adminHash))) {
+      return { id: ENV_ADMIN_KEY_ID, name: 'ADMIN_API_KEY', scopes: ['admin'] };
+    }
+  }
+
+  const record = await getApiKeyStore().findByHash(hash);
+  if (!record || record.revoked_at) return null;
+  return { id: record.id, name: record.name, scopes: record.scopes };
+}
+
+/**
+ * Check whether a key grants a scope
+ *
+ * @param {Object} apiKey - Key from verifyApiKey
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if granted (admin grants every scope)
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+}
+
+// Usage counts waiting to be written, by key ID
+const pendingUsage = new Map();
+let pendingRequests = 0;
+let flushTimer = null;
+let usageWrites = Promise.resolve();
+
+/**
+ * Write pending usage counts to the store
+ *
+ * Never throws - usage counts are best-effort.
+ *
+ * @returns {Promise<void>} Resolves once the counts are written
+ */
+function flushApiKeyUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pendingUsage.size === 0) return usageWrites;
+
+  const entries = Array.from(pendingUsage.values());
+  pendingUsage.clear();
+  pendingRequests = 0;
+
+  usageWrites = usageWrites.then(async () => {
+    try {
+      await getApiKeyStore().recordUsage(entries);
+    } catch (error) {
+      console.error(`[Auth] Failed to record usage for ${entries.length} key(s):`, error.message);
+    }
+  });
+  return usageWrites;
+}
+
+/**
+ * Count a request in a key's usage, to be written with the next flush
+ *
+ * @param {string} id - Key ID
+ * @param {string} scope - Scope the request used
+ */
+function queueUsage(id, scope) {
+  const entry = pendingUsage.get(id) || { id, counts: { total: 0 }, last_used_at: null };
+  entry.counts.total++;
+  entry.counts[scope] = (entry.counts[scope] || 0) + 1;
+  entry.last_used_at = new Date().toISOString();
+  pendingUsage.set(id, entry);
+
+  if (++pendingRequests >= USAGE_FLUSH_MAX_REQUESTS) {
+    flushApiKeyUsage();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushApiKeyUsage, USAGE_FLUSH_INTERVAL_MS);
+    // Don't keep a process alive just to write counts
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Check whether requests without a key are allowed
+ *
+ * With API_AUTH=optional, anonymous requests may use every scope except
+ * admin (e.g., while existing clients are given keys).
+ *
+ * @returns {boolean} True if API_AUTH is "optional"
+ */
+function isAnonymousAllowed() {
+  return (process.env.API_AUTH || 'required').toLowerCase().trim() === 'optional';
+}
+
+/**
+ * Authenticate a request for a scope
+ *
+ * On success, sets req.apiKey ({ id, name, scopes }, or null for an allowed
+ * anonymous request) and queues the request for the key's usage. Otherwise
+ * responds with 401, 403 or 503.
+ *
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} scope - Required scope
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function authenticate(req, res, scope) {
+  const key = getRequestApiKey(req);
+
+  if (!key) {
+    if (scope !== 'admin' && isAnonymousAllowed()) {
+      req.apiKey = null;
+      return true;
+    }
+    res.setHeader('WWW-Authenticate', 'Bearer realm="scanrx"');
+    res.status(401).json({
+      success: false,
+      error: 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+      code: 'UNAUTHORIZED',
+    });
+    return false;
+  }
+
+  let apiKey;
+  try {
+    apiKey = await verifyApiKey(key);
+  } catch (error) {
+    console.error('[Auth] Failed to verify API key:', error.message);
+    res.status(503).json({
+      success: false,
+      error: 'Authentication temporarily unavailable',
+      code: 'STORAGE_ERROR',
+    });
+    return false;
+  }
+
+  if (!apiKey) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="scanrx", error="invalid_token"');
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key',
+      code: 'UNAUTHORIZED',
+    });
+    return false;
+  }
+
+  if (!hasScope(apiKey, scope)) {
+    console.log(`[Auth] ${apiKey.id} denied ${scope} scope`);
+    res.status(403).json({
+      success: false,
+      error: `API key lacks the ${scope} scope`,
+      code: 'FORBIDDEN',
+    });
+    return false;
+  }
+
+  req.apiKey = apiKey;
+
+  if (apiKey.id !== ENV_ADMIN_KEY_ID) {
+    queueUsage(apiKey.id, scope);
+  }
+
+  return true;
+}
+
+/**
+ * Map an error to an HTTP response
+ *
+ * @param {Error} error - Error from this service
+ * @returns {Object|null} { status, body }, or null if not an API key error
+ */
+function getErrorResponse(error) {
+  if (!(error instanceof ApiKeyError)) return null;
+
+  if (ERROR_STATUS[error.code]) {
+    return { status: ERROR_STATUS[error.code], body: { success: false, error: error.message, code: error.code } };
+  }
+  return {
+    status: 503,
+    body: { success: false, error: 'API keys temporarily unavailable', code: 'STORAGE_ERROR' },
+  };
+}
+
+module.exports = {
+  ApiKeyError,
+  API_KEY_SCOPES,
+  registerApiKeyStoreDriver,
+  getApiKeyStore,
+  setApiKeyStore,
+  hashApiKey,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  getRequestApiKey,
+  verifyApiKey,
+  hasScope,
+  authenticate,
+  flushApiKeyUsage,
+  getErrorResponse,
+};
@@ -0,0 +1,316 @@
+/**
+ * Barcode Service
+ *
+ * Decodes barcodes printed on packs locally, before (and independently of)
+ * the vision model:
+ * - EAN-13 / EAN-8 / UPC-A retail barcodes -> GTIN
+ * - GS1 DataMatrix and GS1-128 -> GTIN, batch, expiry, serial (see gs1-parser.js)
+ *
+ * Decoded values are far more reliable than OCR, so they override or
+ * cross-check the model's extraction (see applyBarcodeData).
+ */
+
+const sharp = require('sharp');
+const {
+  MultiFormatReader,
+  BinaryBitmap,
+  HybridBinarizer,
+  RGBLuminanceSource,
+  DecodeHintType,
+  BarcodeFormat,
+  NotFoundException,
+} = require('@zxing/library');
+const { parseGs1, normalizeGtin } = require('./gs1-parser');
+const { parsePackDate } = require('./pack-dates');
+
+// Longest side the decoder works on (dense DataMatrix codes need detail)
+const MAX_DECODE_DIMENSION = 1600;
+
+// Decoder passes: each finds at most one code, so 1D and 2D codes are read separately.
+// The 2D detectors search outward from the middle of the image, so they also
+// try overlapping smaller regions to find codes printed near an edge.
+const DECODE_PASSES = [
+  { formats: [BarcodeFormat.DATA_MATRIX], regions: true },
+  { formats: [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.CODE_128], regions: false },
+  { formats: [BarcodeFormat.QR_CODE], regions: true },
+];
+
+// Region grids for 2D passes: crops overlapping by half their size
+const REGION_SIZES = [1 / 2, 1 / 3];
+
+// Fields a barcode can supply, with how to compare them to the model's reading
+const BARCODE_FIELDS = {
+  batch_number: {
+    agrees: (a, b) => normalizeCode(a) === normalizeCode(b),
+  },
+  expiry_date: {
+    agrees: datesAgree,
+  },
+  manufacturing_date: {
+    agrees: datesAgree,
+  },
+};
+
+/**
+ * Normalize a batch number for comparison
+ *
+ * @param {string} value - Batch number
+ * @returns {string} Uppercase alphanumerics
+ */
+function normalizeCode(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Compare two dates at the precision both share (month for "EXP 03/26")
+ *
+ * @param {string} a - Date text
+ * @param {string} b - Date text
+ * @returns {boolean} True if the dates agree
+ */
+function datesAgree(a, b) {
+  const first = parsePackDate(a);
+  const second = parsePackDate(b);
+  if (!first || !second) return false;
+
+  const length = Math.min(first.date.length, second.date.length);
+  return first.date.substring(0, length) === second.date.substring(0, length);
+}
+
+/**
+ * Build a reader for a set of formats
+ *
+ * @param {Array<number>} formats - ZXing barcode formats
+ * @returns {Object} MultiFormatReader
+ */
+function createReader(formats) {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, formats);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+}
+
+/**
+ * List the image regions a pass should search (the whole image first)
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} withRegions - Whether to add the crop grid
+ * @returns {Array<Object>} [{ left, top, width, height }]
+ */
+function getRegions(width, height, withRegions) {
+  const regions = [{ left: 0, top: 0, width, height }];
+  if (!withRegions) return regions;
+
+  for (const size of REGION_SIZES) {
+    const regionWidth = Math.floor(width * size);
+    const regionHeight = Math.floor(height * size);
+    const steps = Math.round(2 / size) - 1;
+    for (let y = 0; y < steps; y++) {
+      for (let x = 0; x < steps; x++) {
+        regions.push({
+          left: Math.floor((width - regionWidth) * x / (steps - 1)),
+          top: Math.floor((height - regionHeight) * y / (steps - 1)),
+          width: regionWidth,
+          height: regionHeight,
+        });
+      }
+    }
+  }
+  return regions;
+}
+
+/**
+ * Decode one code of the given formats, trying each region in turn
+ *
+ * @param {Uint8ClampedArray} luminances - Greyscale pixels
+ * @param {Object} info - { width, height }
+ * @param {Object} pass - Entry of DECODE_PASSES
+ * @returns {Object|null} ZXing result or null if nothing was found
+ */
+function decodePass(luminances, info, pass) {
+  const reader = createReader(pass.formats);
+
+  for (const region of getRegions(info.width, info.height, pass.regions)) {
+    try {
+      const source = new RGBLuminanceSource(
+        luminances, region.width, region.height, info.width, info.height, region.left, region.top
+      );
+      // decode() would reset the hints, so use the state set up by createReader
+      return reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(source)));
+    } catch (error) {
+      if (!(error instanceof NotFoundException)) {
+        // Checksum/format failures mean a code was seen but couldn't be read
+        console.log(`[Barcode] ${error.name || 'Decode error'} while reading ${pass.formats.map(f => BarcodeFormat[f]).join('/')}`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a decoded barcode
+ *
+ * @param {Object} result - ZXing result
+ * @returns {Object} { format, text, gtin, gs1 }
+ */
+function describeResult(result) {
+  const format = BarcodeFormat[result.getBarcodeFormat()];
+  const text = result.getText();
+  const gs1 = parseGs1(text);
+
+  let gtin = null;
+  if (gs1?.fields.gtin) {
+    gtin = gs1.fields.gtin;
+  } else if (['EAN_13', 'EAN_8', 'UPC_A'].includes(format)) {
+    gtin = normalizeGtin(text);
+  }
+
+  return {
+    format,
+    // Show the group separator readably
+    text: text.replace(/^\u001d/, '').replace(/\u001d/g, '<GS>'),
+    gtin,
+    gs1: gs1 ? { fields: gs1.fields, errors: gs1.errors } : null,
+  };
+}
+
+/**
+ * Decode every supported barcode in an image
+ *
+ * Never throws - an image without a readable code returns an empty list.
+ *
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<Array<Object>>} [{ format, text, gtin, gs1 }]
+ */
+async function decodeBarcodes(buffer) {
+  let pixels;
+  let info;
+  try {
+    ({ data: pixels, info } = await sharp(buffer)
+      .rotate()
+      .resize(MAX_DECODE_DIMENSION, MAX_DECODE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    console.log(`[Barcode] Could not decode image: ${error.message}`);
+    return [];
+  }
+
+  const luminances = new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.length);
+  const codes = [];
+
+  for (const pass of DECODE_PASSES) {
+    const result = decodePass(luminances, info, pass);
+    if (!result) continue;
+
+    const code = describeResult(result);
+    if (!codes.some(existing => existing.text === code.text)) {
+      codes.push(code);
+    }
+  }
+
+  if (codes.length > 0) {
+    console.log(`[Barcode] Decoded ${codes.map(code => code.format).join(', ')}`);
+  }
+  return codes;
+}
+
+/**
+ * Barcode summary for a scan with no readable codes
+ *
+ * @returns {Object} { detected, codes, gtin, fields, sources, mismatches }
+ */
+function emptyBarcodeSummary() {
+  return { detected: false, codes: [], gtin: null, fields: {}, sources: [], mismatches: [] };
+}
+
+/**
+ * Override or cross-check an extraction with the barcodes found on its images
+ *
+ * - GTIN is added to the analysis (the model doesn't read it)
+ * - Batch, expiry and manufacturing date from a GS1 code replace the model's
+ *   reading; if the printed text disagreed, the disagreement is recorded
+ *
+ * @param {Object} extraction - Result from extractFromImages
+ * @param {Array<Object>} images - Image inputs with barcodes
+ * @returns {Object} Extraction with updated analysis, provenance and a barcode summary
+ */
+function applyBarcodeData(extraction, images) {
+  const codes = images.flatMap(image =>
+    (image.barcodes || []).map(code => ({ ...code, image: image.index }))
+  );
+
+  if (codes.length === 0) {
+    return { ...extraction, barcode: emptyBarcodeSummary() };
+  }
+
+  const analysis = { ...extraction.analysis };
+  const provenance = { ...extraction.provenance };
+  const fields = {};
+  const sources = [];
+  const mismatches = [];
+
+  // GS1 codes carry the most data, so prefer them over plain retail barcodes
+  const ranked = [...codes].sort((a, b) => (b.gs1 ? 1 : 0) - (a.gs1 ? 1 : 0));
+
+  const gtinCode = ranked.find(code => code.gtin);
+  const gtins = [...new Set(codes.map(code => code.gtin).filter(Boolean))];
+  if (gtinCode) {
+    analysis.gtin = gtinCode.gtin;
+    provenance.gtin = { source: 'barcode', image: gtinCode.image, format: gtinCode.format };
+    sources.push('gtin');
+  }
+  if (gtins.length > 1) {
+    mismatches.push({ field: 'gtin', barcode: gtinCode.gtin, other: gtins.filter(gtin => gtin !== gtinCode.gtin) });
+  }
+
+  for (const [field, definition] of Object.entries(BARCODE_FIELDS)) {
+    const code = ranked.find(candidate => candidate.gs1?.fields[field]);
+    if (!code) continue;
+
+    const barcodeValue = code.gs1.fields[field];
+    const modelValue = extraction.analysis[field] ?? null;
+    const agrees = modelValue === null ? null : definition.agrees(modelValue, barcodeValue);
+
+    fields[field] = { value: barcodeValue, model_value: modelValue, agrees };
+    analysis[field] = barcodeValue;
+    provenance[field] = { source: 'barcode', image: code.image, format: code.format };
+    sources.push(field);
+
+    if (agrees === false) {
+      mismatches.push({ field, barcode: barcodeValue, printed: modelValue });
+    }
+  }
+
+  const serialCode = ranked.find(candidate => candidate.gs1?.fields.serial_number);
+  if (serialCode) {
+    analysis.serial_number = serialCode.gs1.fields.serial_number;
+    provenance.serial_number = { source: 'barcode', image: serialCode.image, format: serialCode.format };
+    sources.push('serial_number');
+  }
+
+  return {
+    ...extraction,
+    analysis,
+    provenance,
+    barcode: {
+      detected: true,
+      codes,
+      gtin: analysis.gtin || null,
+      fields,
+      sources,
+      mismatches,
+    },
+  };
+}
+
+module.exports = {
+  decodeBarcodes,
+  applyBarcodeData,
+  emptyBarcodeSummary,
+};
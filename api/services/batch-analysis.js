@@ -0,0 +1,339 @@
+/**
+ * Batch Analysis
+ *
+ * Runs many pack photos (e.g., a wholesaler delivery) through the analyze
+ * pipeline in one request. Each photo is one item, analyzed as a single-image
+ * scan and saved to the scan history like any other scan. A failing item is
+ * reported in the results and doesn't stop the rest of the batch.
+ *
+ * Photos can be uploaded directly or as a ZIP archive. Archive entries are
+ * only decompressed when their item is processed, so at most
+ * BATCH_CONCURRENCY photos are held in memory at once.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { prepareImage, runAnalysis, getErrorResponse } = require('./analysis-pipeline');
+const { ScanUploadError, MAX_FILE_SIZE, BATCH_MAX_ITEMS } = require('./scan-upload');
+
+// Items analyzed at the same time
+const DEFAULT_CONCURRENCY = 3;
+
+// Archive entries treated as photos (anything else is skipped)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif', '.gif', '.bmp', '.tif', '.tiff'];
+
+// Item states
+const BATCH_ITEM_STATUSES = ['verified', 'unverified', 'failed'];
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  'index',
+  'filename',
+  'status',
+  'scan_id',
+  'verification_status',
+  'brand_name',
+  'generic_name',
+  'manufacturer',
+  'nafdac_number',
+  'batch_number',
+  'expiry_date',
+  'is_expired',
+  'risk_level',
+  'risk_score',
+  'error_code',
+  'error',
+];
+
+/**
+ * Get the number of items to analyze at the same time
+ *
+ * @returns {number} BATCH_CONCURRENCY or the default
+ */
+function getBatchConcurrency() {
+  const configured = parseInt(process.env.BATCH_CONCURRENCY, 10);
+  return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Turn uploaded photos into batch sources
+ *
+ * @param {Array<Object>} files - Multer files
+ * @returns {Array<Object>} Sources ({ filename, size, load })
+ */
+function sourcesFromFiles(files) {
+  return files.map(file => ({
+    filename: file.originalname || null,
+    size: file.size,
+    load: async () => file.buffer,
+  }));
+}
+
+/**
+ * Turn the photos in a ZIP archive into batch sources
+ *
+ * Directories, hidden files and macOS metadata are ignored; other non-image
+ * entries are listed as skipped.
+ *
+ * @param {Object} archive - Multer file holding the ZIP
+ * @returns {Object} { sources, skipped: [{ filename, reason }] }
+ * @throws {ScanUploadError} INVALID_ARCHIVE if the file isn't a readable ZIP
+ */
+function sourcesFromArchive(archive) {
+  let entries;
+  try {
+    entries = new AdmZip(archive.buffer).getEntries();
+  } catch (error) {
+    throw new ScanUploadError(`Invalid ZIP archive: ${error.message}`, 'INVALID_ARCHIVE');
+  }
+
+  const sources = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+    const basename = path.posix.basename(name);
+    if (entry.isDirectory || name.startsWith('__MACOSX/') || basename.startsWith('.')) continue;
+
+    if (!IMAGE_EXTENSIONS.includes(path.extname(basename).toLowerCase())) {
+      skipped.push({ filename: name, reason: 'Not an image file' });
+      continue;
+    }
+
+    sources.push({
+      filename: name,
+      // Declared size, checked before anything is decompressed
+      size: entry.header.size,
+      load: async () => entry.getData(),
+    });
+  }
+
+  return { sources, skipped };
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ *
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Describe a failed item's error
+ *
+ * @param {Error} error - Error thrown while processing the item
+ * @returns {Object} { message, code, status }
+ */
+function describeItemError(error) {
+  if (error instanceof ScanUploadError) {
+    return { message: error.message, code: error.code, status: error.status };
+  }
+
+  const errorResponse = getErrorResponse(error);
+  if (errorResponse) {
+    return {
+      message: errorResponse.body.error,
+      code: errorResponse.body.code || error.code || 'ANALYSIS_ERROR',
+      status: errorResponse.status,
+    };
+  }
+
+  console.error('[Batch] Unexpected item error:', error);
+  return { message: 'Internal server error', code: 'INTERNAL_ERROR', status: 500 };
+}
+
+/**
+ * Analyze one batch item
+ *
+ * Never throws - failures are returned as a failed item.
+ *
+ * @param {Object} source - Batch source ({ filename, size, load })
+ * @param {number} index - Position in the batch
+ * @param {Object} options - { api_key_id } of the client that sent the batch
+ * @returns {Promise<Object>} Batch item
+ */
+async function analyzeBatchItem(source, index, options = {}) {
+  const startTime = Date.now();
+  const item = { index, filename: source.filename };
+
+  try {
+    if (source.size > MAX_FILE_SIZE) {
+      throw new ScanUploadError(`Image is larger than ${MAX_FILE_SIZE / (1024 * 1024)}MB`, 'LIMIT_FILE_SIZE');
+    }
+
+    const buffer = await source.load();
+    if (buffer.length > MAX_FILE_SIZE) {
+      throw new ScanUploadError(`Image is larger than ${MAX_FILE_SIZE / (1024 * 1024)}MB`, 'LIMIT_FILE_SIZE');
+    }
+
+    const image = await prepareImage({ buffer, originalname: source.filename, size: buffer.length, mimetype: null }, 0);
+    const result = await runAnalysis([image], { mode: 'separate', api_key_id: options.api_key_id });
+
+    return {
+      ...item,
+      status: result.is_verified ? 'verified' : 'unverified',
+      scan_id: result.scan_id || null,
+      verification_status: result.verification?.status || null,
+      brand_name: result.display_brand_name,
+      generic_name: result.display_generic_name,
+      manufacturer: result.display_manufacturer,
+      nafdac_number: result.display_nafdac_number,
+      batch_number: result.analysis?.batch_number || null,
+      expiry_date: result.analysis?.expiry_date || null,
+      is_expired: result.is_expired,
+      risk_level: result.risk?.level || null,
+      risk_score: result.risk?.score ?? null,
+      cached: result.cached,
+      duration_ms: Date.now() - startTime,
+      error: null,
+      result,
+    };
+  } catch (error) {
+    const itemError = describeItemError(error);
+    console.log(`[Batch] Item ${index} (${source.filename || 'unnamed'}) failed: ${itemError.code}`);
+    return {
+      ...item,
+      status: 'failed',
+      scan_id: null,
+      duration_ms: Date.now() - startTime,
+      error: itemError,
+      result: null,
+    };
+  }
+}
+
+/**
+ * Count items by status
+ *
+ * @param {Array<Object>} items - Batch items
+ * @returns {Object} { total, verified, unverified, failed }
+ */
+function summarizeBatch(items) {
+  const summary = { total: items.length };
+  for (const status of BATCH_ITEM_STATUSES) {
+    summary[status] = items.filter(item => item.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * List the photos of a batch upload
+ *
+ * Reads the archive's directory but doesn't decompress any photo, so the
+ * caller can count the items (e.g., to charge the rate limit) first.
+ *
+ * @param {Object} upload - { files, archive } from parseBatchUpload
+ * @returns {Object} { sources, skipped } for runBatch
+ * @throws {ScanUploadError} If the archive is invalid, or the batch is empty or too large
+ */
+function collectBatchSources(upload) {
+  const sources = sourcesFromFiles(upload.files || []);
+  let skipped = [];
+
+  if (upload.archive) {
+    const fromArchive = sourcesFromArchive(upload.archive);
+    sources.push(...fromArchive.sources);
+    skipped = fromArchive.skipped;
+  }
+
+  if (sources.length === 0) {
+    throw new ScanUploadError('No images found in the upload', 'NO_IMAGES');
+  }
+
+  if (sources.length > BATCH_MAX_ITEMS) {
+    throw new ScanUploadError(`Too many images. Maximum ${BATCH_MAX_ITEMS} images per batch`, 'TOO_MANY_IMAGES');
+  }
+
+  return { sources, skipped };
+}
+
+/**
+ * Analyze a batch of photos
+ *
+ * @param {Object} batch - { sources, skipped } from collectBatchSources
+ * @param {Object} options - { concurrency, api_key_id }
+ * @returns {Promise<Object>} { id, created_at, duration_ms, summary, skipped, items }
+ */
+async function runBatch(batch, options = {}) {
+  const startTime = Date.now();
+  const { sources, skipped } = batch;
+
+  const id = `batch_${crypto.randomUUID()}`;
+  const concurrency = options.concurrency || getBatchConcurrency();
+  console.log(`[Batch] ${id}: analyzing ${sources.length} image(s), ${concurrency} at a time`);
+
+  const items = await mapWithConcurrency(sources, concurrency, (source, index) => analyzeBatchItem(source, index, options));
+  const summary = summarizeBatch(items);
+
+  console.log(`[Batch] ${id}: ${summary.verified} verified, ${summary.unverified} unverified, ${summary.failed} failed`);
+
+  return {
+    id,
+    created_at: new Date(startTime).toISOString(),
+    duration_ms: Date.now() - startTime,
+    summary,
+    skipped,
+    items,
+  };
+}
+
+/**
+ * Escape a CSV cell
+ *
+ * Cells starting with a formula character are prefixed with a quote so
+ * spreadsheet apps don't evaluate text read off a pack.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a batch as CSV (one row per item)
+ *
+ * @param {Object} batch - Result from runBatch
+ * @returns {string} CSV with a header row
+ */
+function toBatchCsv(batch) {
+  const rows = batch.items.map(item => CSV_COLUMNS.map(column => {
+    if (column === 'error_code') return toCsvCell(item.error?.code);
+    if (column === 'error') return toCsvCell(item.error?.message);
+    return toCsvCell(item[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  BATCH_ITEM_STATUSES,
+  CSV_COLUMNS,
+  getBatchConcurrency,
+  collectBatchSources,
+  runBatch,
+  summarizeBatch,
+  toBatchCsv,
+};
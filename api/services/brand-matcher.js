@@ -0,0 +1,210 @@
+/**
+ * Brand Name Matcher
+ *
+ * Similarity-based brand name matching for verification and search.
+ *
+ * - Normalizes diacritics, punctuation and common OCR digit/letter slips
+ *   ("Panado1 Extra" -> "panadol extra")
+ * - Scores candidates with a blend of edit distance and token overlap, so a
+ *   short name like "Zinc" doesn't match every product that contains it
+ * - Every candidate gets a match_score between 0 and 1
+ *
+ * Tune the acceptance threshold with BRAND_MATCH_THRESHOLD (default: 0.8).
+ */
+
+const DEFAULT_THRESHOLD = 0.8;
+
+// Weight of whole-string edit similarity vs token overlap
+const EDIT_WEIGHT = 0.6;
+const TOKEN_WEIGHT = 0.4;
+
+// Tokens at least this similar count as the same word
+const TOKEN_MATCH_THRESHOLD = 0.8;
+
+// Strength tokens ignored when scoring ("625", "500mg", "2.5ml")
+const STRENGTH_TOKEN = /^\d+(?:\.\d+)?(?:mg|g|mcg|ml|iu)?$/;
+
+// Digits OCR tends to produce in place of letters inside words
+const DIGIT_TO_LETTER = { 0: 'o', 1: 'l', 5: 's', 8: 'b' };
+
+/**
+ * Get the configured match threshold
+ *
+ * @returns {number} Threshold between 0 and 1
+ */
+function getThreshold() {
+  const value = parseFloat(process.env.BRAND_MATCH_THRESHOLD);
+  return Number.isNaN(value) || value <= 0 || value > 1 ? DEFAULT_THRESHOLD : value;
+}
+
+/**
+ * Normalize a brand name for comparison
+ *
+ * @param {string} value - Brand name
+ * @returns {string} Lowercase ASCII words separated by single spaces
+ */
+function normalizeBrandName(value) {
+  if (!value) return '';
+
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[®™©]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(token => {
+      // Fix digits inside words ("panado1"), but leave strengths ("500") alone
+      if (!/[a-z]/.test(token) || !/\d/.test(token) || /^\d+[a-z]{1,3}$/.test(token)) return token;
+      return token.replace(/[0158]/g, digit => DIGIT_TO_LETTER[digit]);
+    })
+    .join(' ');
+}
+
+/**
+ * Remove strength tokens ("625", "500mg") that are often printed next to the brand
+ *
+ * @param {string} normalized - Normalized brand name
+ * @returns {string} Brand name without strengths (unchanged if nothing else is left)
+ */
+function stripStrengths(normalized) {
+  const stripped = normalized
+    .split(' ')
+    .filter(token => !STRENGTH_TOKEN.test(token))
+    .join(' ');
+  return stripped || normalized;
+}
+
+/**
+ * Levenshtein edit distance
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Edit similarity between two strings (1 = identical)
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function editSimilarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(a, b) / maxLength;
+}
+
+/**
+ * Token overlap (Dice coefficient with fuzzy token equality)
+ *
+ * @param {Array<string>} aTokens - Tokens of the first name
+ * @param {Array<string>} bTokens - Tokens of the second name
+ * @returns {number} Overlap between 0 and 1
+ */
+function tokenOverlap(aTokens, bTokens) {
+  if (aTokens.length === 0 || bTokens.length === 0) return 0;
+
+  const unmatched = [...bTokens];
+  let matches = 0;
+
+  for (const token of aTokens) {
+    const index = unmatched.findIndex(other => editSimilarity(token, other) >= TOKEN_MATCH_THRESHOLD);
+    if (index !== -1) {
+      matches++;
+      unmatched.splice(index, 1);
+    }
+  }
+
+  return (2 * matches) / (aTokens.length + bTokens.length);
+}
+
+/**
+ * Score how well two brand names match
+ *
+ * @param {string} query - Brand name read from the pack or typed by the user
+ * @param {string} candidate - Brand name from the registry
+ * @returns {number} Match score between 0 and 1
+ */
+function scoreBrandMatch(query, candidate) {
+  const a = stripStrengths(normalizeBrandName(query));
+  const b = stripStrengths(normalizeBrandName(candidate));
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const score = EDIT_WEIGHT * editSimilarity(a, b) +
+    TOKEN_WEIGHT * tokenOverlap(a.split(' '), b.split(' '));
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Check whether two brand names match above the threshold
+ *
+ * @param {string} a - First brand name
+ * @param {string} b - Second brand name
+ * @param {number} threshold - Minimum score (default: configured threshold)
+ * @returns {boolean} True if the names match
+ */
+function brandNamesMatch(a, b, threshold = getThreshold()) {
+  return scoreBrandMatch(a, b) >= threshold;
+}
+
+/**
+ * Score and rank drug candidates against a brand name
+ *
+ * @param {string} query - Brand name to match
+ * @param {Array<Object>} candidates - Drug objects with brand_name
+ * @returns {Array<Object>} Copies of the candidates with match_score, best first
+ */
+function rankBrandCandidates(query, candidates) {
+  return (candidates || [])
+    .map((candidate, index) => ({
+      candidate: { ...candidate, match_score: scoreBrandMatch(query, candidate.brand_name) },
+      index,
+    }))
+    .sort((a, b) => b.candidate.match_score - a.candidate.match_score || a.index - b.index)
+    .map(entry => entry.candidate);
+}
+
+/**
+ * Find the best-scoring candidate above the threshold
+ *
+ * @param {string} query - Brand name to match
+ * @param {Array<Object>} candidates - Drug objects with brand_name
+ * @param {number} threshold - Minimum score (default: configured threshold)
+ * @returns {Object|null} Best candidate (with match_score) or null
+ */
+function findBestBrandMatch(query, candidates, threshold = getThreshold()) {
+  const [best] = rankBrandCandidates(query, candidates);
+  return best && best.match_score >= threshold ? best : null;
+}
+
+module.exports = {
+  normalizeBrandName,
+  scoreBrandMatch,
+  brandNamesMatch,
+  rankBrandCandidates,
+  findBestBrandMatch,
+  getThreshold,
+};
@@ -1,122 +1,705 @@
 /**
- * In-Memory Cache Service
- * 
+ * Cache Service
+ *
  * Provides caching for EMDEX API responses to:
  * - Reduce API calls and rate limiting issues
  * - Improve response times
  * - Handle repeated searches efficiently
- * 
- * Note: This cache resets on cold starts. For production,
- * consider upgrading to Vercel KV (Redis-based).
+ *
+ * Storage goes through a driver, chosen with CACHE_STORE:
+ * - memory - in-process Map (default). Resets on cold starts and isn't
+ *   shared between serverless instances.
+ * - redis - any Redis-protocol server (Redis, Valkey, KeyDB, Upstash) at
+ *   CACHE_REDIS_URL, shared by every instance
+ * - sqlite - SQLite database at CACHE_SQLITE_PATH, survives restarts of a
+ *   single server
+ *
+ * Expiry is decided here rather than by the driver, so get/set/del/has/getTTL
+ * behave the same on every driver. Drivers only store entries
+ * ({ data, createdAt, expiresAt, staleUntil }) and may drop them once they
+ * are past retainUntil(entry).
+ *
+ * Entries stored with a grace period are kept after they expire, until
+ * staleUntil. get() treats them as expired, but getEntry() returns them marked
+ * as stale so callers can serve old data while refreshing it, or when the
+ * upstream API is down.
+ *
+ * A failing driver never fails the request: errors are logged, counted in
+ * the stats and treated as a cache miss.
  */
 
-// Maximum cache size to prevent unbounded memory growth
+const os = require('os');
+const path = require('path');
+
+// Maximum cache size to prevent unbounded memory growth (memory driver)
 const MAX_CACHE_SIZE = 1000;
 
-// In-memory cache storage
-const cache = new Map();
+// How often the memory driver removes expired entries
+const DEFAULT_SWEEP_INTERVAL_SECONDS = 60;
+
+// Reasons an entry can be evicted
+const EVICTION_REASONS = ['capacity', 'memory', 'too_large', 'expired'];
+
+// Key prefix for shared stores, so clear() only removes our keys
+const DEFAULT_PREFIX = 'scanrx:cache:';
+
+// How often the SQLite driver deletes expired rows (every N writes)
+const SQLITE_PRUNE_INTERVAL = 100;
 
 // Cache statistics for monitoring
 const stats = {
   hits: 0,
+  staleHits: 0,
   misses: 0,
   sets: 0,
+  deletes: 0,
+  coalesced: 0,
   evictions: 0,
+  evictionsByReason: Object.fromEntries(EVICTION_REASONS.map(reason => [reason, 0])),
+  errors: 0,
+};
+
+// Most recent eviction, for monitoring
+let lastEviction = null;
+
+// Last driver error, for monitoring
+let lastError = null;
+
+// Loads in progress, by cache key (see coalesce)
+const inFlight = new Map();
+
+/**
+ * Custom error class for cache errors
+ */
+class CacheError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'CacheError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Load a package only needed by one driver
+ *
+ * @param {string} packageName - npm package
+ * @param {string} driverName - Driver that needs it
+ * @returns {*} The package
+ * @throws {CacheError} DRIVER_UNAVAILABLE if it isn't installed
+ */
+function loadDriverPackage(packageName, driverName) {
+  try {
+    return require(packageName);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new CacheError(
+      `The ${driverName} cache driver needs the ${packageName} package (npm install ${packageName})`,
+      'DRIVER_UNAVAILABLE',
+      error
+    );
+  }
+}
+
+/**
+ * Read a positive integer setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value (0 if explicitly disabled)
+ */
+function getSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Approximate memory held by an entry
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @returns {number} Bytes of the key and serialized data
+ */
+function measureEntry(key, entry) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(entry.data) ?? '');
+}
+
+/**
+ * In-memory driver
+ *
+ * Least recently used entries are evicted once CACHE_MAX_ENTRIES or the
+ * optional CACHE_MAX_BYTES budget is reached. The Map keeps insertion order,
+ * so moving an entry to the end on every read keeps the least recently used
+ * one first and every operation O(1). Expired entries are swept every
+ * CACHE_SWEEP_INTERVAL_SECONDS so they don't hold memory until the next read.
+ *
+ * @param {Object} hooks - { onEvict(reason, count) }
+ * @returns {Object} Driver
+ */
+function createMemoryDriver(hooks = {}) {
+  const maxEntries = getSetting('CACHE_MAX_ENTRIES', MAX_CACHE_SIZE) || MAX_CACHE_SIZE;
+  const maxBytes = getSetting('CACHE_MAX_BYTES', 0) || null;
+  const sweepSeconds = getSetting('CACHE_SWEEP_INTERVAL_SECONDS', DEFAULT_SWEEP_INTERVAL_SECONDS);
+
+  // key -> { entry, bytes }
+  const cache = new Map();
+  let bytesUsed = 0;
+
+  const remove = (key) => {
+    const item = cache.get(key);
+    if (!item) return false;
+    cache.delete(key);
+    bytesUsed -= item.bytes;
+    return true;
+  };
+
+  // Evict least recently used entries until the new one fits
+  const evictFor = (bytes) => {
+    let capacity = 0;
+    let memory = 0;
+    while (cache.size > 0 && cache.size >= maxEntries) {
+      remove(cache.keys().next().value);
+      capacity++;
+    }
+    while (maxBytes && cache.size > 0 && bytesUsed + bytes > maxBytes) {
+      remove(cache.keys().next().value);
+      memory++;
+    }
+    if (capacity > 0) hooks.onEvict?.('capacity', capacity);
+    if (memory > 0) hooks.onEvict?.('memory', memory);
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    let expired = 0;
+    for (const [key, item] of cache) {
+      if (retainUntil(item.entry) <= now) {
+        remove(key);
+        expired++;
+      }
+    }
+    if (expired > 0) {
+      hooks.onEvict?.('expired', expired);
+      console.log(`[Cache] Swept ${expired} expired items`);
+    }
+  };
+
+  let sweepTimer = null;
+  if (sweepSeconds > 0) {
+    sweepTimer = setInterval(sweep, sweepSeconds * 1000);
+    // Don't keep the process alive just to sweep
+    sweepTimer.unref?.();
+  }
+
+  return {
+    name: 'memory',
+    maxSize: maxEntries,
+    maxBytes,
+    async get(key) {
+      const item = cache.get(key);
+      if (!item) return null;
+
+      // Mark as most recently used
+      cache.delete(key);
+      cache.set(key, item);
+      return item.entry;
+    },
+    async set(key, entry) {
+      const bytes = measureEntry(key, entry);
+      remove(key);
+
+      if (maxBytes && bytes > maxBytes) {
+        hooks.onEvict?.('too_large', 1);
+        console.log(`[Cache] Not caching ${key}: ${bytes} bytes is over the ${maxBytes} byte budget`);
+        return;
+      }
+
+      evictFor(bytes);
+      cache.set(key, { entry, bytes });
+      bytesUsed += bytes;
+    },
+    async del(key) {
+      return remove(key);
+    },
+    async clear() {
+      const size = cache.size;
+      cache.clear();
+      bytesUsed = 0;
+      return size;
+    },
+    async size() {
+      return cache.size;
+    },
+    async bytes() {
+      return bytesUsed;
+    },
+    sweep,
+    async close() {
+      clearInterval(sweepTimer);
+    },
+  };
+}
+
+/**
+ * Redis-protocol driver
+ *
+ * Entries are stored as JSON strings under CACHE_PREFIX with a PX expiry, so
+ * the server drops them on its own once they expire.
+ *
+ * @param {Object} hooks - Unused
+ * @param {string} url - redis:// or rediss:// URL
+ * @returns {Object} Driver
+ * @throws {CacheError} NOT_CONFIGURED without a URL, DRIVER_UNAVAILABLE without ioredis
+ */
+function createRedisDriver(hooks = {}, url = process.env.CACHE_REDIS_URL) {
+  if (!url) {
+    throw new CacheError('CACHE_REDIS_URL must be set to use the redis cache', 'NOT_CONFIGURED');
+  }
+
+  const Redis = loadDriverPackage('ioredis', 'redis');
+  const prefix = process.env.CACHE_PREFIX || DEFAULT_PREFIX;
+  const client = new Redis(url, {
+    // Fail fast so a down server only costs a cache miss
+    connectTimeout: 2000,
+    maxRetriesPerRequest: 1,
+  });
+  // ioredis keeps reconnecting; log each distinct error once
+  let lastConnectionError = null;
+  client.on('error', (error) => {
+    if (error.message !== lastConnectionError) {
+      console.error('[Cache] Redis error:', error.message);
+      lastConnectionError = error.message;
+    }
+  });
+  client.on('ready', () => {
+    lastConnectionError = null;
+  });
+
+  // Iterate over our keys without blocking the server (unlike KEYS)
+  const scanKeys = async (onKeys) => {
+    let cursor = '0';
+    do {
+      const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+      cursor = next;
+      if (keys.length > 0) await onKeys(keys);
+    } while (cursor !== '0');
+  };
+
+  return {
+    name: 'redis',
+    maxSize: null,
+    async get(key) {
+      const value = await client.get(prefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, entry) {
+      const ttlMs = Math.max(1, retainUntil(entry) - Date.now());
+      await client.set(prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+    },
+    async del(key) {
+      return (await client.del(prefix + key)) > 0;
+    },
+    async clear() {
+      let removed = 0;
+      await scanKeys(async (keys) => {
+        removed += await client.del(...keys);
+      });
+      return removed;
+    },
+    async size() {
+      let count = 0;
+      await scanKeys(async (keys) => {
+        count += keys.length;
+      });
+      return count;
+    },
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+/**
+ * SQLite driver
+ *
+ * One row per entry. Expired rows are skipped on read and deleted every
+ * SQLITE_PRUNE_INTERVAL writes.
+ *
+ * @param {Object} hooks - { onEvict(reason, count) }
+ * @param {string} filePath - Database file
+ * @returns {Object} Driver
+ * @throws {CacheError} DRIVER_UNAVAILABLE without better-sqlite3
+ */
+function createSqliteDriver(hooks = {}, filePath = process.env.CACHE_SQLITE_PATH || path.join(os.tmpdir(), 'scanrx-cache.sqlite')) {
+  const Database = loadDriverPackage('better-sqlite3', 'sqlite');
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS cache_entries_expires_at ON cache_entries (expires_at);
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM cache_entries WHERE key = ? AND expires_at > ?'),
+    set: db.prepare('INSERT OR REPLACE INTO cache_entries (key, value, expires_at) VALUES (?, ?, ?)'),
+    del: db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+    clear: db.prepare('DELETE FROM cache_entries'),
+    size: db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(key) + LENGTH(value)), 0) AS bytes FROM cache_entries WHERE expires_at > ?'),
+    prune: db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?'),
+  };
+  let writes = 0;
+
+  return {
+    name: 'sqlite',
+    path: filePath,
+    maxSize: null,
+    async get(key) {
+      const row = statements.get.get(key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+    async set(key, entry) {
+      statements.set.run(key, JSON.stringify(entry), retainUntil(entry));
+      if (++writes % SQLITE_PRUNE_INTERVAL === 0) {
+        const expired = statements.prune.run(Date.now()).changes;
+        if (expired > 0) hooks.onEvict?.('expired', expired);
+      }
+    },
+    async del(key) {
+      return statements.del.run(key).changes > 0;
+    },
+    async clear() {
+      return statements.clear.run().changes;
+    },
+    async size() {
+      return statements.size.get(Date.now()).count;
+    },
+    async bytes() {
+      return statements.size.get(Date.now()).bytes;
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+// Driver factories by name
+const driverFactories = {
+  memory: createMemoryDriver,
+  redis: createRedisDriver,
+  sqlite: createSqliteDriver,
 };
 
+// Active driver (created on first use)
+let activeDriver = null;
+
+/**
+ * Hooks passed to every driver
+ */
+const driverHooks = {
+  onEvict(reason, count = 1) {
+    stats.evictions += count;
+    stats.evictionsByReason[reason] = (stats.evictionsByReason[reason] || 0) + count;
+    lastEviction = { reason, count, at: new Date().toISOString() };
+  },
+};
+
+/**
+ * Register a cache driver factory
+ *
+ * A driver implements: async get(key) -> entry|null, async set(key, entry),
+ * async del(key) -> boolean, async clear() -> count and async size() -> count,
+ * and optionally async bytes() -> bytes used, where entry is
+ * { data, createdAt, expiresAt, staleUntil }, kept until retainUntil(entry).
+ * The factory receives
+ * { onEvict(reason, count) } to report evictions (see EVICTION_REASONS).
+ *
+ * @param {string} name - Driver name used in CACHE_STORE
+ * @param {Function} factory - Returns a driver
+ */
+function registerCacheDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new CacheError('Invalid cache driver', 'INVALID_DRIVER');
+  }
+  driverFactories[name] = factory;
+}
+
+/**
+ * Release a driver that is being replaced (sweep timer, Redis connection,
+ * SQLite handle)
+ *
+ * Doesn't wait for the driver to close; failures are only logged.
+ *
+ * @param {Object|null} driver - Previous driver
+ */
+function closeDriver(driver) {
+  if (typeof driver?.close !== 'function') return;
+
+  Promise.resolve()
+    .then(() => driver.close())
+    .catch(error => console.error(`[Cache] Failed to close ${driver.name} driver:`, error.message));
+}
+
+/**
+ * Get the configured driver
+ *
+ * Switching CACHE_STORE closes the previous driver.
+ *
+ * @returns {Object} Driver
+ * @throws {CacheError} If CACHE_STORE names an unknown or unusable driver
+ */
+function getCacheStore() {
+  const name = (process.env.CACHE_STORE || 'memory').toLowerCase().trim();
+
+  if (!activeDriver || activeDriver.configuredAs !== name) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new CacheError(
+        `Unknown cache store: ${name}. Available: ${Object.keys(driverFactories).join(', ')}`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    const driver = factory(driverHooks);
+    closeDriver(activeDriver);
+    activeDriver = { ...driver, configuredAs: name };
+    console.log(`[Cache] Using ${activeDriver.name} driver`);
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Check that the cache backend works with a write, read and delete
+ *
+ * Unlike the other operations, driver errors are thrown instead of being
+ * treated as misses.
+ *
+ * @returns {Promise<Object>} { driver }
+ * @throws {CacheError} If the value read back differs from the one written
+ */
+async function checkHealth() {
+  const driver = getCacheStore();
+  const key = `health:${process.pid}:${Date.now()}`;
+  const now = Date.now();
+
+  await driver.set(key, { data: now, createdAt: now, expiresAt: now + 60000 });
+  const entry = await driver.get(key);
+  await driver.del(key);
+
+  if (!entry || entry.data !== now) {
+    throw new CacheError('Cache returned a different value than was written', 'CHECK_FAILED');
+  }
+
+  return { driver: driver.name };
+}
+
+/**
+ * Replace the active driver (e.g., with a hosted store or for tests)
+ *
+ * The previous driver is closed, unless it is the one being set again.
+ *
+ * @param {Object|null} driver - Driver instance, or null to reset to the configured one
+ */
+function setCacheStore(driver) {
+  if (activeDriver && activeDriver.close !== driver?.close) {
+    closeDriver(activeDriver);
+  }
+  activeDriver = driver ? { ...driver, configuredAs: (process.env.CACHE_STORE || 'memory').toLowerCase().trim() } : null;
+}
+
+/**
+ * Run a driver operation, treating failures as a miss
+ *
+ * @param {string} operation - Operation name for logs
+ * @param {Function} fn - async (driver) => result
+ * @param {*} fallback - Result if the driver fails
+ * @returns {Promise<*>} Result or fallback
+ */
+async function withDriver(operation, fn, fallback) {
+  try {
+    return await fn(getCacheStore());
+  } catch (error) {
+    stats.errors++;
+    lastError = { operation, message: error.message, at: new Date().toISOString() };
+    console.error(`[Cache] ${operation} failed:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Time until which a driver must keep an entry
+ *
+ * @param {Object} entry - Cache entry
+ * @returns {number} Timestamp in milliseconds (end of the grace period, if any)
+ */
+function retainUntil(entry) {
+  return Math.max(entry.expiresAt, entry.staleUntil || 0);
+}
+
+/**
+ * Read an entry, dropping it once it is past its grace period
+ *
+ * @param {string} key - Cache key
+ * @param {Object} options - { allowStale: return expired entries still in their grace period }
+ * @returns {Promise<Object|null>} Entry or null
+ */
+async function readEntry(key, options = {}) {
+  const entry = await withDriver('get', driver => driver.get(key), null);
+  if (!entry) return null;
+
+  const now = Date.now();
+  if (retainUntil(entry) <= now) {
+    await withDriver('del', driver => driver.del(key), false);
+    return null;
+  }
+
+  if (entry.expiresAt <= now && !options.allowStale) {
+    return null;
+  }
+
+  return entry;
+}
+
 /**
  * Get an item from the cache
- * 
+ *
  * @param {string} key - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
+ * @returns {Promise<Object|null>} Cached data or null if not found/expired
  */
-function get(key) {
-  const item = cache.get(key);
-  
-  if (!item) {
+async function get(key) {
+  const entry = await readEntry(key);
+
+  if (!entry) {
     stats.misses++;
     return null;
   }
-  
-  // Check if item has expired
-  const now = Date.now();
-  if (item.expiresAt < now) {
-    // Remove expired item
-    cache.delete(key);
+
+  stats.hits++;
+  return entry.data;
+}
+
+/**
+ * Get an item with its freshness, including expired items in their grace period
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { data, stale, age_seconds, ttl, stale_seconds } or null
+ */
+async function getEntry(key) {
+  const entry = await readEntry(key, { allowStale: true });
+
+  if (!entry) {
     stats.misses++;
     return null;
   }
-  
-  stats.hits++;
-  return item.data;
+
+  const now = Date.now();
+  const stale = entry.expiresAt <= now;
+  if (stale) {
+    stats.staleHits++;
+  } else {
+    stats.hits++;
+  }
+
+  return {
+    data: entry.data,
+    stale,
+    // Age of the data since it was fetched
+    age_seconds: Math.floor((now - entry.createdAt) / 1000),
+    ttl: stale ? 0 : Math.ceil((entry.expiresAt - now) / 1000),
+    // How long ago it expired
+    stale_seconds: stale ? Math.floor((now - entry.expiresAt) / 1000) : 0,
+  };
 }
 
 /**
  * Store an item in the cache
- * 
+ *
  * @param {string} key - Cache key
- * @param {*} data - Data to cache
+ * @param {*} data - Data to cache (must be JSON-serializable for shared stores)
  * @param {number} ttlSeconds - Time to live in seconds
+ * @param {Object} options - { graceSeconds: keep the item this long after it expires, for getEntry() }
+ * @returns {Promise<void>}
  */
-function set(key, data, ttlSeconds = 3600) {
-  // Check cache size and evict if necessary
-  if (cache.size >= MAX_CACHE_SIZE) {
-    evictOldest();
-  }
-  
+async function set(key, data, ttlSeconds = 3600, options = {}) {
   const now = Date.now();
-  cache.set(key, {
+  const entry = {
     data,
     createdAt: now,
     expiresAt: now + (ttlSeconds * 1000),
-    ttl: ttlSeconds,
+  };
+  if (options.graceSeconds > 0) {
+    entry.staleUntil = entry.expiresAt + (options.graceSeconds * 1000);
+  }
+
+  await withDriver('set', async (driver) => {
+    await driver.set(key, entry);
+    stats.sets++;
   });
-  
-  stats.sets++;
 }
 
 /**
  * Delete an item from the cache
- * 
+ *
  * @param {string} key - Cache key
- * @returns {boolean} True if item was deleted
+ * @returns {Promise<boolean>} True if item was deleted
  */
-function del(key) {
-  return cache.delete(key);
+async function del(key) {
+  const deleted = await withDriver('del', driver => driver.del(key), false);
+  if (deleted) stats.deletes++;
+  return deleted;
 }
 
 /**
- * Clear all cached items
+ * Share one in-flight load between concurrent callers with the same key
+ *
+ * The first caller runs fn; callers arriving before it settles get the same
+ * promise (and the same result or error) instead of starting their own load.
+ * Coalescing is per process - instances sharing a Redis cache each load once.
+ *
+ * @param {string} key - Cache key (from generateKey)
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
  */
-function clear() {
-  const size = cache.size;
-  cache.clear();
-  console.log(`[Cache] Cleared ${size} items`);
+function coalesce(key, fn) {
+  const pending = inFlight.get(key);
+  if (pending) {
+    stats.coalesced++;
+    return pending;
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
 }
 
 /**
- * Evict the oldest items when cache is full
- * Removes 10% of items to make room
+ * Check whether a load is in progress for a key
+ *
+ * @param {string} key - Cache key
+ * @returns {boolean} True if coalesce() is running fn for the key
  */
-function evictOldest() {
-  const itemsToRemove = Math.ceil(MAX_CACHE_SIZE * 0.1);
-  const entries = Array.from(cache.entries());
-  
-  // Sort by creation time (oldest first)
-  entries.sort((a, b) => a[1].createdAt - b[1].createdAt);
-  
-  // Remove oldest items
-  for (let i = 0; i < itemsToRemove && i < entries.length; i++) {
-    cache.delete(entries[i][0]);
-    stats.evictions++;
-  }
-  
-  console.log(`[Cache] Evicted ${itemsToRemove} oldest items`);
+function isInFlight(key) {
+  return inFlight.has(key);
+}
+
+/**
+ * Clear all cached items
+ *
+ * @returns {Promise<void>}
+ */
+async function clear() {
+  const size = await withDriver('clear', driver => driver.clear(), 0);
+  console.log(`[Cache] Cleared ${size} items`);
 }
 
 /**
  * Generate a consistent cache key from prefix and parameters
- * 
+ *
  * @param {string} prefix - Key prefix (e.g., 'emdex_brands_search')
  * @param {Object} params - Parameters to include in key
  * @returns {string} Cache key
@@ -132,69 +715,77 @@ function generateKey(prefix, params = {}) {
       return `${key}=${normalizedValue}`;
     })
     .filter(part => part !== null);
-  
+
   const paramsString = normalizedParts.join('_');
   return paramsString ? `${prefix}_${paramsString}` : prefix;
 }
 
 /**
  * Get remaining TTL for a cached item
- * 
+ *
  * @param {string} key - Cache key
- * @returns {number} Remaining TTL in seconds, or 0 if not found/expired
+ * @returns {Promise<number>} Remaining TTL in seconds, or 0 if not found/expired
  */
-function getTTL(key) {
-  const item = cache.get(key);
-  if (!item) return 0;
-  
-  const remaining = item.expiresAt - Date.now();
-  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+async function getTTL(key) {
+  const entry = await readEntry(key);
+  if (!entry) return 0;
+
+  return Math.ceil((entry.expiresAt - Date.now()) / 1000);
 }
 
 /**
  * Get cache statistics
- * 
- * @returns {Object} Cache stats
+ *
+ * @returns {Promise<Object>} Cache stats
  */
-function getStats() {
+async function getStats() {
+  const size = await withDriver('size', driver => driver.size(), null);
+  const bytes = await withDriver('bytes', driver => (driver.bytes ? driver.bytes() : null), null);
+  const driver = activeDriver;
+
   return {
     ...stats,
-    size: cache.size,
-    maxSize: MAX_CACHE_SIZE,
-    hitRate: stats.hits + stats.misses > 0 
-      ? (stats.hits / (stats.hits + stats.misses) * 100).toFixed(2) + '%'
+    evictionsByReason: { ...stats.evictionsByReason },
+    lastEviction,
+    inFlight: inFlight.size,
+    driver: driver ? driver.name : null,
+    size,
+    maxSize: driver ? driver.maxSize : null,
+    bytes,
+    maxBytes: driver?.maxBytes || null,
+    // Stale items were still served from the cache
+    hitRate: stats.hits + stats.staleHits + stats.misses > 0
+      ? ((stats.hits + stats.staleHits) / (stats.hits + stats.staleHits + stats.misses) * 100).toFixed(2) + '%'
       : '0%',
+    lastError,
   };
 }
 
 /**
  * Log cache statistics (call periodically for monitoring)
+ *
+ * @returns {Promise<void>}
  */
-function logStats() {
-  const s = getStats();
-  console.log(`[Cache] Stats: ${s.size}/${s.maxSize} items, ${s.hitRate} hit rate, ${s.hits} hits, ${s.misses} misses`);
+async function logStats() {
+  const s = await getStats();
+  const bytes = s.bytes === null ? '' : `, ${s.bytes}${s.maxBytes ? `/${s.maxBytes}` : ''} bytes`;
+  console.log(`[Cache] Stats (${s.driver}): ${s.size}${s.maxSize ? `/${s.maxSize}` : ''} items${bytes}, ${s.hitRate} hit rate, ${s.hits} hits, ${s.misses} misses, ${s.evictions} evictions`);
 }
 
 /**
  * Check if a key exists and is not expired
- * 
+ *
  * @param {string} key - Cache key
- * @returns {boolean} True if key exists and is valid
+ * @returns {Promise<boolean>} True if key exists and is valid
  */
-function has(key) {
-  const item = cache.get(key);
-  if (!item) return false;
-  
-  if (item.expiresAt < Date.now()) {
-    cache.delete(key);
-    return false;
-  }
-  
-  return true;
+async function has(key) {
+  return (await readEntry(key)) !== null;
 }
 
 module.exports = {
+  CacheError,
   get,
+  getEntry,
   set,
   del,
   clear,
@@ -203,6 +794,13 @@ module.exports = {
   getStats,
   logStats,
   has,
+  coalesce,
+  isInFlight,
+  registerCacheDriver,
+  getCacheStore,
+  setCacheStore,
+  checkHealth,
   // Constants
   MAX_CACHE_SIZE,
+  EVICTION_REASONS,
 };
@@ -411,6 +411,60 @@ function parseAppDrugId(appId) {
   return null;
 }
 
+/**
+ * Extract drug data from EMDEX response
+ * Handles various response structures
+ * 
+ * @param {Object} response - EMDEX API response
+ * @returns {Object|null} Drug data or null if not found
+ */
+function extractDrugData(response) {
+  if (!response) return null;
+
+  // Direct data
+  if (response.id || response.brand_id || response.generic_id) {
+    return response;
+  }
+
+  // Wrapped in data property
+  if (response.data) {
+    if (Array.isArray(response.data)) {
+      return response.data[0] || null;
+    }
+    return response.data;
+  }
+
+  // Wrapped in drug property
+  if (response.drug) {
+    return response.drug;
+  }
+
+  // Wrapped in brand/generic property
+  if (response.brand) {
+    return response.brand;
+  }
+  if (response.generic) {
+    return response.generic;
+  }
+
+  // Wrapped in result property
+  if (response.result) {
+    return response.result;
+  }
+
+  // Check if it's an empty success response
+  if (response.success === false || response.error) {
+    return null;
+  }
+
+  // Last resort: return the whole response if it looks like drug data
+  if (response.brand_name || response.generic_name || response.name) {
+    return response;
+  }
+
+  return null;
+}
+
 module.exports = {
   transformEmdexBrand,
   transformEmdexGeneric,
@@ -420,4 +474,5 @@ module.exports = {
   transformEmdexBrandDetails,
   transformEmdexGenericDetails,
   parseAppDrugId,
+  extractDrugData,
 };
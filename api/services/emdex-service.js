@@ -3,6 +3,12 @@
  * 
  * Handles authentication and communication with the EMDEX Nigerian drug database API.
  * This is the authoritative source for drug information in ScanRx.
+ *
+ * Requests are protected on the way out:
+ * - each call is aborted after EMDEX_TIMEOUT_MS
+ * - calls are spaced to EMDEX_RATE_LIMIT_PER_MINUTE to stay within the EMDEX plan
+ * - a circuit breaker fails fast for a while after repeated network errors
+ *   or 5xx responses, so a struggling EMDEX isn't hammered with retries
  * 
  * Set USE_MOCK_EMDEX=true in environment to use mock data for development.
  */
@@ -17,6 +23,15 @@ const USE_MOCK = process.env.USE_MOCK_EMDEX === 'true';
 let cachedToken = null;
 let tokenExpiresAt = null;
 
+// Login in progress, shared by every caller that needs a token meanwhile
+let pendingLogin = null;
+
+// Token statistics for monitoring
+const tokenStats = {
+  logins: 0,
+  coalesced: 0,
+};
+
 // Cache TTL constants (in seconds)
 const CACHE_TTL = {
   SEARCH: 3600,      // 1 hour for search results
@@ -24,23 +39,95 @@ const CACHE_TTL = {
   VERIFY: 86400,     // 24 hours for verification
 };
 
+// Serve stale data for this long after expiry while refreshing it in the background
+const DEFAULT_STALE_WHILE_REVALIDATE = 300;
+
+// Serve stale data for this long after expiry if EMDEX is down
+const DEFAULT_STALE_IF_ERROR = 86400;
+
+// Abort a login or request after this long
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Outbound rate limit: requests per minute, burst size, and the longest a
+// request waits for its turn before failing
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const DEFAULT_RATE_LIMIT_BURST = 10;
+const DEFAULT_RATE_LIMIT_MAX_WAIT_MS = 5000;
+
+// Open the circuit after this many consecutive failures, for this long
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_SECONDS = 30;
+
+// Circuit breaker state
+const circuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  retryAt: null,
+  trialInFlight: false,
+  opens: 0,
+  rejected: 0,
+  lastError: null,
+};
+
+// Outbound rate limiter state (tokens may go negative while calls wait their turn)
+const outbound = {
+  tokens: null,
+  updatedAt: 0,
+  delayed: 0,
+  throttled: 0,
+};
+
+// Helper for async delays
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Custom error class for EMDEX-specific errors
+ *
+ * `status` is the HTTP status when EMDEX answered with an error (REQUEST_FAILED,
+ * AUTH_FAILED), so callers can check it instead of parsing the message.
+ * CIRCUIT_OPEN and THROTTLED errors carry `retryAfterSeconds`.
  */
 class EmdexError extends Error {
-  constructor(message, code, originalError = null) {
+  constructor(message, code, originalError = null, status = null) {
     super(message);
     this.name = 'EmdexError';
     this.code = code;
     this.originalError = originalError;
+    this.status = status;
   }
 }
 
+/**
+ * Read a non-negative integer setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value (0 disables)
+ */
+function getSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Start the timeout for one EMDEX call
+ *
+ * @returns {Object} { signal, timeoutMs, clear } - pass signal to fetch, call clear when done
+ */
+function startTimeout() {
+  const timeoutMs = getSetting('EMDEX_TIMEOUT_MS', DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  return { signal: controller.signal, timeoutMs, clear: () => clearTimeout(timer) };
+}
+
 /**
  * Get or refresh the EMDEX API token
  * 
  * - Checks if cached token exists and is not expired (with 60 second buffer)
  * - If valid token exists, returns it
+ * - If a login is already in progress, waits for it instead of logging in again
  * - If no valid token, logs in to EMDEX and caches the new token
  * 
  * @returns {Promise<string>} The JWT token
@@ -48,11 +135,31 @@ class EmdexError extends Error {
  */
 async function getToken() {
   // Check if we have a valid cached token (with 60 second buffer)
-  const now = Date.now();
-  if (cachedToken && tokenExpiresAt && (tokenExpiresAt - 60000) > now) {
+  if (cachedToken && tokenExpiresAt && (tokenExpiresAt - 60000) > Date.now()) {
     return cachedToken;
   }
 
+  if (pendingLogin) {
+    tokenStats.coalesced++;
+    return pendingLogin;
+  }
+
+  pendingLogin = login().finally(() => {
+    pendingLogin = null;
+  });
+  return pendingLogin;
+}
+
+/**
+ * Log in to EMDEX and cache the token
+ *
+ * @returns {Promise<string>} The JWT token
+ * @throws {EmdexError} If authentication fails
+ */
+async function login() {
+  const now = Date.now();
+  tokenStats.logins++;
+
   // Get credentials from environment
   const apiUrl = process.env.EMDEX_API_URL;
   const email = process.env.EMDEX_EMAIL;
@@ -65,6 +172,8 @@ async function getToken() {
     );
   }
 
+  const timeout = startTimeout();
+
   try {
     // Login to EMDEX
     const loginUrl = `${apiUrl}/api/v1/login`;
@@ -79,13 +188,17 @@ async function getToken() {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: body.toString(),
+      signal: timeout.signal,
     });
 
     if (!response.ok) {
       const errorText = await response.text();
+      // A 5xx means EMDEX is down, not that the credentials are wrong
       throw new EmdexError(
         `EMDEX login failed: ${response.status} ${response.statusText}. ${errorText}`,
-        'AUTH_FAILED'
+        response.status >= 500 ? 'REQUEST_FAILED' : 'AUTH_FAILED',
+        null,
+        response.status
       );
     }
 
@@ -118,11 +231,131 @@ async function getToken() {
       throw error;
     }
 
+    if (timeout.signal.aborted) {
+      throw new EmdexError(`EMDEX login timed out after ${timeout.timeoutMs}ms`, 'NETWORK_ERROR', error);
+    }
+
     throw new EmdexError(
       `Network error during EMDEX authentication: ${error.message}`,
       'NETWORK_ERROR',
       error
     );
+  } finally {
+    timeout.clear();
+  }
+}
+
+/**
+ * Wait for a turn under the outbound rate limit
+ *
+ * Each call reserves the next free slot, so bursts are spread out instead
+ * of being sent at once. A call that would wait longer than
+ * EMDEX_RATE_LIMIT_MAX_WAIT_MS fails instead.
+ *
+ * @returns {Promise<void>}
+ * @throws {EmdexError} THROTTLED if the wait would be too long
+ */
+async function acquireRequestSlot() {
+  const perMinute = getSetting('EMDEX_RATE_LIMIT_PER_MINUTE', DEFAULT_RATE_LIMIT_PER_MINUTE);
+  if (perMinute === 0) return;
+
+  const burst = getSetting('EMDEX_RATE_LIMIT_BURST', DEFAULT_RATE_LIMIT_BURST) || 1;
+  const refillPerMs = perMinute / 60000;
+  const now = Date.now();
+  const tokens = outbound.tokens === null
+    ? burst
+    : Math.min(burst, outbound.tokens + (now - outbound.updatedAt) * refillPerMs);
+  const waitMs = tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+
+  if (waitMs > getSetting('EMDEX_RATE_LIMIT_MAX_WAIT_MS', DEFAULT_RATE_LIMIT_MAX_WAIT_MS)) {
+    outbound.throttled++;
+    const error = new EmdexError(
+      `EMDEX rate limit reached (${perMinute} requests per minute)`,
+      'THROTTLED'
+    );
+    error.retryAfterSeconds = Math.ceil(waitMs / 1000);
+    throw error;
+  }
+
+  outbound.tokens = tokens - 1;
+  outbound.updatedAt = now;
+
+  if (waitMs > 0) {
+    outbound.delayed++;
+    await delay(waitMs);
+  }
+}
+
+/**
+ * Let a request through the circuit breaker, or fail fast
+ *
+ * Once the cooldown has passed, one trial request is let through
+ * (half-open); its outcome closes or reopens the circuit.
+ *
+ * @throws {EmdexError} CIRCUIT_OPEN while the circuit is open
+ */
+function checkCircuit() {
+  if (circuit.state === 'closed') return;
+
+  const now = Date.now();
+  if (circuit.state === 'open' && now >= circuit.retryAt) {
+    circuit.state = 'half_open';
+    console.log('[EMDEX] Circuit half-open, sending a trial request');
+  }
+
+  if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return;
+  }
+
+  circuit.rejected++;
+  const error = new EmdexError(
+    `EMDEX circuit breaker is open after ${circuit.consecutiveFailures} consecutive failures`,
+    'CIRCUIT_OPEN'
+  );
+  error.retryAfterSeconds = Math.max(1, Math.ceil((circuit.retryAt - now) / 1000));
+  throw error;
+}
+
+/**
+ * Record the outcome of a request that reached EMDEX
+ *
+ * Network errors and 5xx responses count as failures. A success or a 4xx
+ * response shows EMDEX is answering and closes the circuit. Anything else
+ * (bad credentials, a missing setting) says nothing about EMDEX's health and
+ * leaves the circuit as it is.
+ *
+ * @param {EmdexError|null} error - Error, or null on success
+ */
+function recordOutcome(error) {
+  circuit.trialInFlight = false;
+
+  const failed = isUpstreamFailure(error);
+  const answered = !error || (error.code === 'REQUEST_FAILED' && error.status > 0 && error.status < 500);
+  if (!failed && !answered) return;
+
+  if (!failed) {
+    if (circuit.state !== 'closed') {
+      console.log('[EMDEX] Circuit closed, EMDEX is responding again');
+    }
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    return;
+  }
+
+  circuit.consecutiveFailures++;
+  circuit.lastError = { code: error.code, status: error.status, message: error.message, at: new Date().toISOString() };
+
+  const threshold = getSetting('EMDEX_BREAKER_THRESHOLD', DEFAULT_BREAKER_THRESHOLD) || DEFAULT_BREAKER_THRESHOLD;
+  if (circuit.state === 'half_open' || circuit.consecutiveFailures >= threshold) {
+    const cooldownSeconds = getSetting('EMDEX_BREAKER_COOLDOWN_SECONDS', DEFAULT_BREAKER_COOLDOWN_SECONDS);
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.retryAt = circuit.openedAt + cooldownSeconds * 1000;
+    circuit.opens++;
+    console.warn(`[EMDEX] Circuit open for ${cooldownSeconds}s after ${circuit.consecutiveFailures} consecutive failures (${error.code})`);
   }
 }
 
@@ -131,11 +364,10 @@ async function getToken() {
  * 
  * @param {string} endpoint - The API endpoint (e.g., '/api/v1/drugs/search')
  * @param {Object} body - The request body as an object
- * @param {boolean} isRetry - Internal flag to prevent infinite retry loops
  * @returns {Promise<Object>} The parsed JSON response
- * @throws {EmdexError} If the request fails
+ * @throws {EmdexError} If the request fails, is throttled, or the circuit is open
  */
-async function emdexRequest(endpoint, body = {}, isRetry = false) {
+async function emdexRequest(endpoint, body = {}) {
   // Use mock service if enabled
   if (USE_MOCK) {
     console.log('[EMDEX] Using MOCK service');
@@ -151,10 +383,44 @@ async function emdexRequest(endpoint, body = {}, isRetry = false) {
     );
   }
 
+  checkCircuit();
+
+  try {
+    await acquireRequestSlot();
+  } catch (error) {
+    // Never sent, so it says nothing about EMDEX
+    circuit.trialInFlight = false;
+    throw error;
+  }
+
   try {
-    // Get authentication token
-    const token = await getToken();
+    const data = await sendRequest(apiUrl, endpoint, body);
+    recordOutcome(null);
+    return data;
+  } catch (error) {
+    recordOutcome(error);
+    throw error;
+  }
+}
+
+/**
+ * Send a request to EMDEX, logging in again once if the token was rejected
+ *
+ * @param {string} apiUrl - EMDEX base URL
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} body - The request body as an object
+ * @param {boolean} isRetry - Internal flag to prevent infinite retry loops
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {EmdexError} If the request fails
+ */
+async function sendRequest(apiUrl, endpoint, body, isRetry = false) {
+  // Get authentication token (the login has its own timeout, so it doesn't
+  // use up the request's)
+  const token = await getToken();
+
+  const timeout = startTimeout();
 
+  try {
     // Build request URL
     const requestUrl = `${apiUrl}${endpoint}`;
 
@@ -174,21 +440,26 @@ async function emdexRequest(endpoint, body = {}, isRetry = false) {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: requestBody.toString(),
+      signal: timeout.signal,
     });
 
     // Handle 401 Unauthorized - token may have expired
     if (response.status === 401 && !isRetry) {
-      // Clear cached token and retry once
-      cachedToken = null;
-      tokenExpiresAt = null;
-      return emdexRequest(endpoint, body, true);
+      // Clear cached token and retry once (unless a concurrent request already replaced it)
+      if (cachedToken === token) {
+        cachedToken = null;
+        tokenExpiresAt = null;
+      }
+      return sendRequest(apiUrl, endpoint, body, true);
     }
 
     if (!response.ok) {
       const errorText = await response.text();
       throw new EmdexError(
         `EMDEX request failed: ${response.status} ${response.statusText}. ${errorText}`,
-        'REQUEST_FAILED'
+        'REQUEST_FAILED',
+        null,
+        response.status
       );
     }
 
@@ -200,11 +471,17 @@ async function emdexRequest(endpoint, body = {}, isRetry = false) {
       throw error;
     }
 
+    if (timeout.signal.aborted) {
+      throw new EmdexError(`EMDEX request timed out after ${timeout.timeoutMs}ms`, 'NETWORK_ERROR', error);
+    }
+
     throw new EmdexError(
       `Network error during EMDEX request: ${error.message}`,
       'NETWORK_ERROR',
       error
     );
+  } finally {
+    timeout.clear();
   }
 }
 
@@ -216,44 +493,158 @@ function clearTokenCache() {
   tokenExpiresAt = null;
 }
 
+/**
+ * Check whether an error means EMDEX can't be used right now
+ *
+ * @param {Error} error - Error from emdexRequest
+ * @returns {boolean} True for network errors, 5xx responses, an open circuit and throttling
+ */
+function isUpstreamFailure(error) {
+  return error instanceof EmdexError &&
+    (['NETWORK_ERROR', 'CIRCUIT_OPEN', 'THROTTLED'].includes(error.code) ||
+      (error.code === 'REQUEST_FAILED' && error.status >= 500));
+}
+
+/**
+ * Request from EMDEX and cache a successful result
+ *
+ * Results are kept past their TTL for the longer of the two stale windows.
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} body - The request body
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ * @returns {Promise<Object>} The response
+ * @throws {EmdexError} If the request fails
+ */
+async function fetchAndCache(cacheKey, endpoint, body, ttlSeconds) {
+  const result = await emdexRequest(endpoint, body);
+
+  // Cache successful results (don't cache errors)
+  if (result && !result.error) {
+    const graceSeconds = Math.max(
+      getSetting('EMDEX_STALE_WHILE_REVALIDATE', DEFAULT_STALE_WHILE_REVALIDATE),
+      getSetting('EMDEX_STALE_IF_ERROR', DEFAULT_STALE_IF_ERROR)
+    );
+    await cache.set(cacheKey, result, ttlSeconds, { graceSeconds });
+    console.log(`[EMDEX] Cached result for ${ttlSeconds}s: ${cacheKey}`);
+  }
+
+  return result;
+}
+
+/**
+ * Request from EMDEX through the cache, sharing the request with concurrent callers
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} body - The request body
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ * @returns {Promise<Object>} The response
+ * @throws {EmdexError} If the request fails
+ */
+function fetchCoalesced(cacheKey, endpoint, body, ttlSeconds) {
+  return cache.coalesce(cacheKey, () => fetchAndCache(cacheKey, endpoint, body, ttlSeconds));
+}
+
+/**
+ * Refresh a stale entry without making the caller wait
+ *
+ * Only one refresh per key runs at a time. Failures are logged; the stale
+ * entry stays in place until its grace period ends.
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} body - The request body
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ */
+function revalidateInBackground(cacheKey, endpoint, body, ttlSeconds) {
+  if (cache.isInFlight(cacheKey)) return;
+
+  fetchCoalesced(cacheKey, endpoint, body, ttlSeconds)
+    .then(() => console.log(`[EMDEX] Revalidated: ${cacheKey}`))
+    .catch(error => console.error(`[EMDEX] Revalidation failed for ${cacheKey}:`, error.message));
+}
+
 /**
  * Make a cached authenticated request to the EMDEX API
  * 
  * Wraps emdexRequest with caching to reduce API calls and improve response times.
+ * Concurrent misses for the same request share one EMDEX call.
+ *
+ * Expired results aren't dropped straight away:
+ * - for EMDEX_STALE_WHILE_REVALIDATE seconds they are returned immediately
+ *   while a background request refreshes them
+ * - for EMDEX_STALE_IF_ERROR seconds they are returned if EMDEX fails with a
+ *   network error or 5xx
  * 
  * @param {string} endpoint - The API endpoint (e.g., '/api/v1/drugs/search')
  * @param {Object} body - The request body as an object
  * @param {number} ttlSeconds - Cache TTL in seconds (default: 1 hour)
- * @returns {Promise<Object>} The response with fromCache flag
- * @throws {EmdexError} If the request fails
+ * @returns {Promise<Object>} The response with _cache: { hit, key, ttl, stale, stale_reason, age_seconds }
+ * @throws {EmdexError} If the request fails and there's no stale result to fall back to
  */
 async function cachedEmdexRequest(endpoint, body = {}, ttlSeconds = CACHE_TTL.SEARCH) {
   // Generate cache key from endpoint and body
   const cacheKey = cache.generateKey(`emdex${endpoint.replace(/\//g, '_')}`, body);
   
   // Check cache first
-  const cachedData = cache.get(cacheKey);
-  if (cachedData) {
+  const entry = await cache.getEntry(cacheKey);
+  if (entry && !entry.stale) {
     console.log(`[EMDEX] Cache HIT: ${cacheKey}`);
     return { 
-      ...cachedData, 
+      ...entry.data, 
+      _cache: {
+        hit: true,
+        key: cacheKey,
+        ttl: entry.ttl,
+        stale: false,
+        age_seconds: entry.age_seconds,
+      }
+    };
+  }
+
+  // Serve recently expired data now and refresh it for the next caller
+  if (entry && entry.stale_seconds < getSetting('EMDEX_STALE_WHILE_REVALIDATE', DEFAULT_STALE_WHILE_REVALIDATE)) {
+    console.log(`[EMDEX] Cache STALE (${entry.age_seconds}s old), revalidating: ${cacheKey}`);
+    revalidateInBackground(cacheKey, endpoint, body, ttlSeconds);
+    return {
+      ...entry.data,
       _cache: {
         hit: true,
         key: cacheKey,
-        ttl: cache.getTTL(cacheKey),
+        ttl: 0,
+        stale: true,
+        stale_reason: 'revalidating',
+        age_seconds: entry.age_seconds,
       }
     };
   }
   
-  console.log(`[EMDEX] Cache MISS: ${cacheKey}`);
+  console.log(`[EMDEX] Cache ${entry ? 'EXPIRED' : 'MISS'}: ${cacheKey}`);
   
   // Make actual request
-  const result = await emdexRequest(endpoint, body);
-  
-  // Cache successful results (don't cache errors)
-  if (result && !result.error) {
-    cache.set(cacheKey, result, ttlSeconds);
-    console.log(`[EMDEX] Cached result for ${ttlSeconds}s: ${cacheKey}`);
+  let result;
+  try {
+    result = await fetchCoalesced(cacheKey, endpoint, body, ttlSeconds);
+  } catch (error) {
+    // Fall back to the expired result while EMDEX is down
+    if (entry && isUpstreamFailure(error) &&
+        entry.stale_seconds < getSetting('EMDEX_STALE_IF_ERROR', DEFAULT_STALE_IF_ERROR)) {
+      console.warn(`[EMDEX] ${error.code}, serving stale result (${entry.age_seconds}s old): ${cacheKey}`);
+      return {
+        ...entry.data,
+        _cache: {
+          hit: true,
+          key: cacheKey,
+          ttl: 0,
+          stale: true,
+          stale_reason: 'error',
+          age_seconds: entry.age_seconds,
+        }
+      };
+    }
+    throw error;
   }
   
   return { 
@@ -262,23 +653,117 @@ async function cachedEmdexRequest(endpoint, body = {}, ttlSeconds = CACHE_TTL.SE
       hit: false,
       key: cacheKey,
       ttl: ttlSeconds,
+      stale: false,
+      age_seconds: 0,
     }
   };
 }
 
+/**
+ * Get the X-Cache header value for a cached response
+ *
+ * @param {Object} cacheInfo - _cache from cachedEmdexRequest
+ * @returns {string} HIT, MISS, STALE (revalidating) or STALE-IF-ERROR (EMDEX unavailable)
+ */
+function getCacheHeader(cacheInfo) {
+  if (cacheInfo?.stale) {
+    return cacheInfo.stale_reason === 'error' ? 'STALE-IF-ERROR' : 'STALE';
+  }
+  return cacheInfo?.hit ? 'HIT' : 'MISS';
+}
+
+/**
+ * Describe stale data for a response body
+ *
+ * @param {Object} cacheInfo - _cache from cachedEmdexRequest
+ * @returns {Object|null} { age_seconds, reason } or null if the data is fresh
+ */
+function getStaleInfo(cacheInfo) {
+  if (!cacheInfo?.stale) return null;
+  return { age_seconds: cacheInfo.age_seconds, reason: cacheInfo.stale_reason };
+}
+
+/**
+ * Pick the staler of two cache results (for responses built from several requests)
+ *
+ * @param {Object|null} current - _cache kept so far
+ * @param {Object} next - _cache of another request
+ * @returns {Object|null} The stale one with the oldest data, or current
+ */
+function stalestCacheInfo(current, next) {
+  if (!next?.stale) return current;
+  if (!current?.stale) return next;
+  return next.age_seconds > current.age_seconds ? next : current;
+}
+
 /**
  * Get cache statistics
- * @returns {Object} Cache stats
+ *
+ * `coalesced` counts calls that shared an in-flight EMDEX request instead of
+ * sending their own; `token.coalesced` does the same for logins.
+ *
+ * @returns {Promise<Object>} Cache stats
+ */
+async function getCacheStats() {
+  return {
+    ...(await cache.getStats()),
+    token: { ...tokenStats },
+  };
+}
+
+/**
+ * Get the circuit breaker state
+ *
+ * @returns {Object} { state, consecutive_failures, threshold, opened_at, retry_at, opens, rejected, last_error }
+ */
+function getCircuitState() {
+  return {
+    state: circuit.state,
+    consecutive_failures: circuit.consecutiveFailures,
+    threshold: getSetting('EMDEX_BREAKER_THRESHOLD', DEFAULT_BREAKER_THRESHOLD) || DEFAULT_BREAKER_THRESHOLD,
+    opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    retry_at: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+    opens: circuit.opens,
+    rejected: circuit.rejected,
+    last_error: circuit.lastError,
+  };
+}
+
+/**
+ * Get outbound rate limiter statistics
+ *
+ * @returns {Object} { per_minute, burst, delayed, throttled }
+ */
+function getOutboundStats() {
+  return {
+    per_minute: getSetting('EMDEX_RATE_LIMIT_PER_MINUTE', DEFAULT_RATE_LIMIT_PER_MINUTE),
+    burst: getSetting('EMDEX_RATE_LIMIT_BURST', DEFAULT_RATE_LIMIT_BURST) || 1,
+    delayed: outbound.delayed,
+    throttled: outbound.throttled,
+  };
+}
+
+/**
+ * Reset the circuit breaker and outbound rate limiter (useful for testing)
  */
-function getCacheStats() {
-  return cache.getStats();
+function resetClientState() {
+  Object.assign(circuit, {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    retryAt: null,
+    trialInFlight: false,
+    lastError: null,
+  });
+  outbound.tokens = null;
 }
 
 /**
  * Clear all cached EMDEX responses
+ * @returns {Promise<void>}
  */
-function clearResponseCache() {
-  cache.clear();
+async function clearResponseCache() {
+  await cache.clear();
 }
 
 module.exports = {
@@ -286,8 +771,16 @@ module.exports = {
   getToken,
   emdexRequest,
   cachedEmdexRequest,
+  getCacheHeader,
+  getStaleInfo,
+  stalestCacheInfo,
+  isUpstreamFailure,
   clearTokenCache,
   clearResponseCache,
   getCacheStats,
+  getCircuitState,
+  getOutboundStats,
+  resetClientState,
   CACHE_TTL,
+  USE_MOCK,
 };
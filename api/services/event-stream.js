@@ -0,0 +1,77 @@
+/**
+ * Server-Sent Events
+ *
+ * Minimal SSE writer for streaming progress to clients. Each event is sent as:
+ *
+ *   id: 3
+ *   event: verification
+ *   data: {"status":"verified",...}
+ *
+ * A comment line is sent periodically so proxies don't close an idle stream.
+ */
+
+// Interval between keep-alive comments
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Start an event stream on a response
+ *
+ * @param {Object} res - HTTP response
+ * @param {Object} options - { heartbeatMs }
+ * @returns {Object} { send(event, data), close(), isClosed() }
+ */
+function createEventStream(res, options = {}) {
+  const heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+  let nextId = 1;
+  let closed = false;
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx-style proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, heartbeatMs);
+  if (heartbeat.unref) heartbeat.unref();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // The request emits 'close' once its body is read, so watch the response
+  if (typeof res.on === 'function') {
+    res.on('close', () => {
+      if (!closed) {
+        console.log('[SSE] Client disconnected');
+        closed = true;
+        clearInterval(heartbeat);
+      }
+    });
+  }
+
+  return {
+    /**
+     * Send an event (ignored once the stream is closed)
+     *
+     * @param {string} event - Event name
+     * @param {Object} data - JSON-serializable payload
+     */
+    send(event, data) {
+      if (closed) return;
+      res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close,
+    isClosed: () => closed,
+  };
+}
+
+module.exports = {
+  createEventStream,
+};
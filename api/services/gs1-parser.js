@@ -0,0 +1,213 @@
+/**
+ * GS1 Element String Parser
+ *
+ * Parses the data carried by GS1 DataMatrix and GS1-128 codes into
+ * Application Identifiers (AIs), e.g.:
+ *
+ *   (01)08901234567890(17)260331(10)AB123(21)SN0001
+ *   -> GTIN 08901234567890, expiry 2026-03-31, batch AB123, serial SN0001
+ *
+ * Accepts both the raw scanner output (variable-length fields separated by
+ * the GS character, ASCII 29) and the human-readable form with parentheses.
+ */
+
+// Group separator ending a variable-length field
+const GS = '\u001d';
+
+// AIs used on medicine packs: fixed length, or maximum length for variable fields
+const APPLICATION_IDENTIFIERS = {
+  '00': { name: 'sscc', length: 18 },
+  '01': { name: 'gtin', length: 14 },
+  '02': { name: 'content_gtin', length: 14 },
+  '10': { name: 'batch_number', maxLength: 20 },
+  '11': { name: 'manufacturing_date', length: 6, date: true },
+  '13': { name: 'packaging_date', length: 6, date: true },
+  '15': { name: 'best_before_date', length: 6, date: true },
+  '17': { name: 'expiry_date', length: 6, date: true },
+  '20': { name: 'variant', length: 2 },
+  '21': { name: 'serial_number', maxLength: 20 },
+  '22': { name: 'consumer_product_variant', maxLength: 20 },
+  '30': { name: 'count', maxLength: 8 },
+  '240': { name: 'additional_product_id', maxLength: 30 },
+  '241': { name: 'customer_part_number', maxLength: 30 },
+  '710': { name: 'nhrn_germany', maxLength: 20 },
+  '711': { name: 'nhrn_france', maxLength: 20 },
+  '712': { name: 'nhrn_spain', maxLength: 20 },
+  '713': { name: 'nhrn_brazil', maxLength: 20 },
+  '714': { name: 'nhrn_portugal', maxLength: 20 },
+};
+
+// Symbology identifiers some scanners prefix ("]d2" = GS1 DataMatrix)
+const SYMBOLOGY_PREFIX = /^\](?:d2|C1|Q3|e0)/;
+
+/**
+ * Validate a GTIN check digit (GTIN-8, -12, -13 or -14)
+ *
+ * @param {string} value - Digits including the check digit
+ * @returns {boolean} True if the check digit is correct
+ */
+function isValidGtin(value) {
+  if (!/^(?:\d{8}|\d{12,14})$/.test(String(value || ''))) return false;
+
+  const digits = String(value).split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Normalize a GTIN to 14 digits (EAN-13 "5901234123457" -> "05901234123457")
+ *
+ * @param {string} value - GTIN-8, -12, -13 or -14
+ * @returns {string|null} GTIN-14 or null if invalid
+ */
+function normalizeGtin(value) {
+  const digits = String(value || '').replace(/\s+/g, '');
+  return isValidGtin(digits) ? digits.padStart(14, '0') : null;
+}
+
+/**
+ * Convert a GS1 YYMMDD date to ISO
+ *
+ * Day "00" means the end of the month, so only the month is returned.
+ *
+ * @param {string} value - YYMMDD
+ * @returns {string|null} "2026-03-31", "2026-03" or null if invalid
+ */
+function parseGs1Date(value) {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  // GS1 maps two-digit years into a window around the current year
+  const yy = parseInt(value.substring(0, 2), 10);
+  const currentYear = new Date().getUTCFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+  if (year - currentYear > 50) year -= 100;
+  if (currentYear - year > 49) year += 100;
+
+  const month = parseInt(value.substring(2, 4), 10);
+  const day = parseInt(value.substring(4, 6), 10);
+  if (month < 1 || month > 12) return null;
+
+  const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+  if (day === 0) return yearMonth;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day > daysInMonth) return null;
+  return `${yearMonth}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Find the AI at the start of a string
+ *
+ * @param {string} data - Remaining element string
+ * @returns {string|null} AI code or null if unknown
+ */
+function matchIdentifier(data) {
+  for (const length of [2, 3, 4]) {
+    const code = data.substring(0, length);
+    if (APPLICATION_IDENTIFIERS[code]) return code;
+  }
+  return null;
+}
+
+/**
+ * Parse a GS1 element string
+ *
+ * @param {string} text - Decoded barcode text
+ * @returns {Object|null} { elements, fields, errors } or null if the text isn't GS1 data
+ */
+function parseGs1(text) {
+  if (!text) return null;
+
+  let data = String(text).replace(SYMBOLOGY_PREFIX, '');
+  const elements = [];
+  const errors = [];
+
+  // Human-readable form: (01)...(17)...
+  if (data.startsWith('(')) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = pattern.exec(data)) !== null) {
+      elements.push({ ai: match[1], value: match[2].trim() });
+    }
+  } else {
+    if (!data.startsWith(GS) && !/^(?:01|02|00)\d/.test(data)) return null;
+    data = data.replace(/^\u001d+/, '');
+
+    while (data.length > 0) {
+      const ai = matchIdentifier(data);
+      if (!ai) {
+        errors.push(`Unknown application identifier at "${data.substring(0, 8)}"`);
+        break;
+      }
+
+      const definition = APPLICATION_IDENTIFIERS[ai];
+      data = data.substring(ai.length);
+
+      let value;
+      if (definition.length) {
+        value = data.substring(0, definition.length);
+        data = data.substring(definition.length);
+      } else {
+        const end = data.indexOf(GS);
+        value = end === -1 ? data : data.substring(0, end);
+        data = end === -1 ? '' : data.substring(end);
+      }
+      data = data.replace(/^\u001d+/, '');
+
+      elements.push({ ai, value });
+    }
+  }
+
+  if (elements.length === 0) return null;
+
+  const fields = {};
+  for (const element of elements) {
+    const definition = APPLICATION_IDENTIFIERS[element.ai];
+    if (!definition) {
+      errors.push(`Unsupported application identifier (${element.ai})`);
+      continue;
+    }
+
+    element.name = definition.name;
+
+    if (definition.length && element.value.length !== definition.length) {
+      errors.push(`(${element.ai}) ${definition.name} should be ${definition.length} characters`);
+      continue;
+    }
+    if (definition.maxLength && element.value.length > definition.maxLength) {
+      errors.push(`(${element.ai}) ${definition.name} exceeds ${definition.maxLength} characters`);
+      continue;
+    }
+
+    if (definition.date) {
+      const date = parseGs1Date(element.value);
+      if (!date) {
+        errors.push(`(${element.ai}) ${definition.name} "${element.value}" is not a valid date`);
+        continue;
+      }
+      fields[definition.name] = date;
+    } else if (definition.name === 'gtin' || definition.name === 'content_gtin') {
+      if (!isValidGtin(element.value)) {
+        errors.push(`(${element.ai}) GTIN ${element.value} has an invalid check digit`);
+        continue;
+      }
+      fields[definition.name] = element.value;
+    } else {
+      fields[definition.name] = element.value;
+    }
+  }
+
+  return { elements, fields, errors };
+}
+
+module.exports = {
+  parseGs1,
+  parseGs1Date,
+  isValidGtin,
+  normalizeGtin,
+  APPLICATION_IDENTIFIERS,
+};
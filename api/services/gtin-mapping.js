@@ -0,0 +1,478 @@
+/**
+ * GTIN Mapping
+ *
+ * A locally maintained table from product barcodes (GTINs) to EMDEX brand
+ * IDs, so a scanned barcode can be resolved to a registry record. EMDEX has
+ * no GTINs, so the table is filled in two ways:
+ * - manual - added through the /api/gtin endpoints
+ * - learned - a pharmacist confirms which drug an unmatched scan was
+ *
+ * Storage goes through a driver, like the scan history:
+ * - file - JSON file (default, GTIN_MAPPING_PATH; required outside local runs)
+ * - memory - in-process only, lost on cold starts
+ *
+ * Hosted stores plug in with registerGtinMappingDriver().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('./emdex-service');
+const { transformEmdexBrandDetails, parseAppDrugId, extractDrugData } = require('./drug-transformer');
+const { normalizeGtin } = require('./gs1-parser');
+const { getStorePath } = require('./store-path');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// How a mapping was added
+const MAPPING_SOURCES = ['manual', 'learned'];
+
+// HTTP status for each error code
+const ERROR_STATUS = {
+  INVALID_GTIN: 400,
+  INVALID_DRUG_ID: 400,
+  INVALID_REQUEST: 400,
+  NO_GTIN: 422,
+  DRUG_NOT_FOUND: 422,
+  ALREADY_EXISTS: 409,
+  MAPPING_CONFLICT: 409,
+};
+
+/**
+ * Custom error class for GTIN mapping errors
+ */
+class GtinMappingError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'GtinMappingError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * In-memory driver
+ *
+ * @returns {Object} Driver
+ */
+function createMemoryDriver() {
+  const mappings = new Map();
+
+  return {
+    name: 'memory',
+    async get(gtin) {
+      return mappings.get(gtin) || null;
+    },
+    async list() {
+      return Array.from(mappings.values());
+    },
+    async save(mapping) {
+      mappings.set(mapping.gtin, mapping);
+    },
+    async delete(gtin) {
+      return mappings.delete(gtin);
+    },
+  };
+}
+
+/**
+ * JSON file driver
+ *
+ * Keeps the whole table in one file keyed by GTIN. Pharmacies map at most a
+ * few thousand products, so reading and rewriting the file is cheap. Writes
+ * are serialized so concurrent saves can't drop each other's mappings.
+ *
+ * @param {string} filePath - File to store mappings in
+ * @returns {Object} Driver
+ * @throws {GtinMappingError} PATH_REQUIRED if GTIN_MAPPING_PATH isn't set outside local runs
+ */
+function createFileDriver(filePath = getStorePath('GTIN_MAPPING_PATH', 'scanrx-gtin-mappings.json')) {
+  if (!filePath) {
+    throw new GtinMappingError(
+      `GTIN_MAPPING_PATH is not set. Point it at persistent storage or choose a hosted GTIN_MAPPING_STORE driver`,
+      'PATH_REQUIRED'
+    );
+  }
+
+  let writes = Promise.resolve();
+
+  const readAll = async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new GtinMappingError(`Failed to read GTIN mappings: ${error.message}`, 'READ_FAILED', error);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new GtinMappingError('GTIN mapping file is not valid JSON', 'READ_FAILED', error);
+    }
+  };
+
+  const writeAll = async (mappings) => {
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written table
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(mappings, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      throw new GtinMappingError(`Failed to write GTIN mappings: ${error.message}`, 'WRITE_FAILED', error);
+    }
+  };
+
+  // Run a read-modify-write after the previous one finishes
+  const update = (fn) => {
+    const run = writes.then(async () => {
+      const mappings = await readAll();
+      const result = fn(mappings);
+      await writeAll(mappings);
+      return result;
+    });
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: 'file',
+    path: filePath,
+    async get(gtin) {
+      return (await readAll())[gtin] || null;
+    },
+    async list() {
+      return Object.values(await readAll());
+    },
+    async save(mapping) {
+      await update(mappings => {
+        mappings[mapping.gtin] = mapping;
+      });
+    },
+    async delete(gtin) {
+      return update(mappings => {
+        if (!mappings[gtin]) return false;
+        delete mappings[gtin];
+        return true;
+      });
+    },
+  };
+}
+
+// Driver factories by name
+const driverFactories = {
+  file: createFileDriver,
+  memory: createMemoryDriver,
+};
+
+// Active driver (created on first use)
+let activeDriver = null;
+
+/**
+ * Register a storage driver factory
+ *
+ * A driver implements: async get(gtin), async list(), async save(mapping)
+ * and async delete(gtin) -> boolean.
+ *
+ * @param {string} name - Driver name used in GTIN_MAPPING_STORE
+ * @param {Function} factory - Returns a driver
+ */
+function registerGtinMappingDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new GtinMappingError('Invalid GTIN mapping driver', 'INVALID_DRIVER');
+  }
+  driverFactories[name] = factory;
+}
+
+/**
+ * Get the configured driver
+ *
+ * @returns {Object} Driver
+ * @throws {GtinMappingError} If GTIN_MAPPING_STORE names an unknown driver
+ */
+function getGtinMappingStore() {
+  const name = (process.env.GTIN_MAPPING_STORE || 'file').toLowerCase().trim();
+
+  if (!activeDriver || activeDriver.configuredAs !== name) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new GtinMappingError(
+        `Unknown GTIN mapping store: ${name}. Available: ${Object.keys(driverFactories).join(', ')}`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    activeDriver = { ...factory(), configuredAs: name };
+    console.log(`[GTIN] Using ${activeDriver.name} mapping store`);
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Replace the active driver (e.g., with a hosted store or for tests)
+ *
+ * @param {Object|null} driver - Driver instance, or null to reset to the configured one
+ */
+function setGtinMappingStore(driver) {
+  activeDriver = driver ? { ...driver, configuredAs: (process.env.GTIN_MAPPING_STORE || 'file').toLowerCase().trim() } : null;
+}
+
+/**
+ * Validate and normalize a GTIN
+ *
+ * @param {string} value - GTIN-8, -12, -13 or -14
+ * @returns {string} GTIN-14
+ * @throws {GtinMappingError} INVALID_GTIN if the format or check digit is wrong
+ */
+function requireGtin(value) {
+  const gtin = normalizeGtin(value);
+  if (!gtin) {
+    throw new GtinMappingError(
+      `Invalid GTIN "${value}". Expected 8, 12, 13 or 14 digits with a valid check digit`,
+      'INVALID_GTIN'
+    );
+  }
+  return gtin;
+}
+
+/**
+ * Fetch an EMDEX brand by app drug ID
+ *
+ * @param {string} drugId - App ID like "emdex_brand_12345"
+ * @returns {Promise<Object>} { drug: transformEmdexBrandDetails shape or null, cached, cacheInfo }
+ * @throws {GtinMappingError} INVALID_DRUG_ID if the ID isn't a brand ID
+ * @throws {EmdexError} If EMDEX fails
+ */
+async function fetchBrandDetails(drugId) {
+  const parsedId = parseAppDrugId(drugId);
+  if (!parsedId || parsedId.type !== 'brand') {
+    throw new GtinMappingError(
+      `Invalid drug ID "${drugId}". GTINs map to brands: emdex_brand_XXX`,
+      'INVALID_DRUG_ID'
+    );
+  }
+
+  const response = await cachedEmdexRequest(
+    '/api/v1/brands/details',
+    { brand_id: parsedId.emdexId },
+    CACHE_TTL.DETAILS
+  );
+  const cacheInfo = response?._cache || { hit: false };
+  if (response?._cache) delete response._cache;
+
+  const brandData = extractDrugData(response);
+  return {
+    drug: brandData ? transformEmdexBrandDetails(brandData, drugId) : null,
+    cached: cacheInfo.hit === true,
+    cacheInfo,
+  };
+}
+
+/**
+ * Get the mapping for a GTIN
+ *
+ * @param {string} value - GTIN in any supported length
+ * @returns {Promise<Object|null>} Mapping or null
+ * @throws {GtinMappingError} If the GTIN is invalid or storage fails
+ */
+async function getMapping(value) {
+  return getGtinMappingStore().get(requireGtin(value));
+}
+
+/**
+ * List mappings, most recently updated first
+ *
+ * @param {Object} filters - { source, drug_id, limit, offset }
+ * @returns {Promise<Object>} { mappings, total, limit, offset }
+ */
+async function listMappings(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const matching = (await getGtinMappingStore().list())
+    .filter(mapping => !filters.source || mapping.source === filters.source)
+    .filter(mapping => !filters.drug_id || mapping.drug_id === filters.drug_id)
+    .sort((a, b) => (a.updated_at < b.updated_at ? 1 : a.updated_at > b.updated_at ? -1 : 0));
+
+  return {
+    mappings: matching.slice(offset, offset + limit),
+    total: matching.length,
+    limit,
+    offset,
+  };
+}
+
+/**
+ * Create or replace the mapping for a GTIN
+ *
+ * The drug is looked up in EMDEX first, so only existing brands can be
+ * mapped, and its name and NAFDAC number are stored alongside for display.
+ *
+ * @param {Object} input - { gtin, drug_id, notes, source, scan_id, confirmed_by }
+ * @param {Object} options - { overwrite: false to refuse replacing an existing mapping }
+ * @returns {Promise<Object>} { mapping, created }
+ * @throws {GtinMappingError} INVALID_GTIN, INVALID_DRUG_ID, DRUG_NOT_FOUND or ALREADY_EXISTS
+ */
+async function saveMapping(input, options = {}) {
+  const gtin = requireGtin(input.gtin);
+  const source = input.source || 'manual';
+  if (!MAPPING_SOURCES.includes(source)) {
+    throw new GtinMappingError(`Invalid source "${source}". Use one of: ${MAPPING_SOURCES.join(', ')}`, 'INVALID_REQUEST');
+  }
+
+  const { drug } = await fetchBrandDetails(input.drug_id);
+  if (!drug) {
+    throw new GtinMappingError(`Drug ${input.drug_id} was not found in EMDEX`, 'DRUG_NOT_FOUND');
+  }
+
+  const store = getGtinMappingStore();
+  const existing = await store.get(gtin);
+  if (existing && options.overwrite === false) {
+    throw new GtinMappingError(`GTIN ${gtin} is already mapped to ${existing.drug_id}`, 'ALREADY_EXISTS');
+  }
+
+  const now = new Date().toISOString();
+  const mapping = {
+    gtin,
+    drug_id: input.drug_id,
+    brand_name: drug.brand_name || null,
+    nafdac_number: drug.nafdac_number || null,
+    source,
+    notes: input.notes || null,
+    scan_id: input.scan_id || null,
+    confirmed_by: input.confirmed_by || null,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+  };
+
+  await store.save(mapping);
+  console.log(`[GTIN] ${existing ? 'Updated' : 'Added'} ${source} mapping ${gtin} -> ${mapping.drug_id} (${mapping.brand_name})`);
+  return { mapping, created: !existing };
+}
+
+/**
+ * Delete the mapping for a GTIN
+ *
+ * @param {string} value - GTIN in any supported length
+ * @returns {Promise<boolean>} True if a mapping was deleted
+ */
+async function deleteMapping(value) {
+  const gtin = requireGtin(value);
+  const deleted = await getGtinMappingStore().delete(gtin);
+  if (deleted) console.log(`[GTIN] Deleted mapping ${gtin}`);
+  return deleted;
+}
+
+/**
+ * Learn a mapping from a scan a pharmacist has identified
+ *
+ * The mapping table is shared by every client, so a confirmation only adds
+ * a mapping for a GTIN that has none. Replacing a learned mapping that
+ * points elsewhere needs details.replace (callers with the details or admin
+ * scope); manual mappings are never replaced by learned ones. Otherwise the
+ * disagreement is reported so someone can check which is right.
+ *
+ * @param {Object} scan - Scan record from the scan history
+ * @param {string} drugId - Confirmed app drug ID
+ * @param {Object} details - { confirmed_by, notes, replace }
+ * @returns {Promise<Object>} { mapping, created }
+ * @throws {GtinMappingError} NO_GTIN if the scan had no barcode, MAPPING_CONFLICT
+ *   if the GTIN is mapped elsewhere and can't be replaced, or any saveMapping error
+ */
+async function learnFromScan(scan, drugId, details = {}) {
+  const gtin = scan.barcode?.gtin || scan.fields?.gtin;
+  if (!gtin) {
+    throw new GtinMappingError(`Scan ${scan.id} has no barcode to learn from`, 'NO_GTIN');
+  }
+
+  const existing = await getMapping(gtin);
+  if (existing && existing.drug_id === drugId) {
+    return { mapping: existing, created: false };
+  }
+  if (existing && existing.source === 'manual') {
+    throw new GtinMappingError(
+      `GTIN ${existing.gtin} is already mapped to ${existing.drug_id} (${existing.brand_name}) by hand`,
+      'MAPPING_CONFLICT'
+    );
+  }
+  if (existing && !details.replace) {
+    throw new GtinMappingError(
+      `GTIN ${existing.gtin} is already mapped to ${existing.drug_id} (${existing.brand_name}). Changing it needs the details scope`,
+      'MAPPING_CONFLICT'
+    );
+  }
+
+  if (existing) {
+    console.log(`[GTIN] Replacing learned mapping ${existing.gtin} -> ${existing.drug_id} from scan ${scan.id}`);
+  }
+
+  return saveMapping({
+    gtin,
+    drug_id: drugId,
+    source: 'learned',
+    scan_id: scan.id,
+    confirmed_by: details.confirmed_by,
+    notes: details.notes,
+  }, { overwrite: Boolean(existing) });
+}
+
+/**
+ * Resolve a GTIN to its EMDEX brand details
+ *
+ * @param {string} value - GTIN in any supported length
+ * @returns {Promise<Object|null>} { mapping, drug, cached, cacheInfo }, or null if the GTIN isn't mapped
+ * @throws {GtinMappingError} If the GTIN is invalid or storage fails
+ * @throws {EmdexError} If EMDEX fails
+ */
+async function resolveGtin(value) {
+  const mapping = await getMapping(value);
+  if (!mapping) return null;
+
+  const { drug, cached, cacheInfo } = await fetchBrandDetails(mapping.drug_id);
+  return { mapping, drug, cached, cacheInfo };
+}
+
+/**
+ * Map a GTIN mapping or EMDEX error to an HTTP status and response body
+ *
+ * @param {Error} error - Error thrown by this module
+ * @returns {Object|null} { status, body } or null if the error is unexpected
+ */
+function getErrorResponse(error) {
+  if (error instanceof GtinMappingError) {
+    if (ERROR_STATUS[error.code]) {
+      return { status: ERROR_STATUS[error.code], body: { success: false, error: error.message, code: error.code } };
+    }
+    return {
+      status: 503,
+      body: { success: false, error: 'GTIN mappings temporarily unavailable', code: 'STORAGE_ERROR' },
+    };
+  }
+
+  if (error instanceof EmdexError) {
+    const body = { success: false, error: 'Drug database temporarily unavailable', code: 'SERVICE_UNAVAILABLE' };
+    if (error.retryAfterSeconds) {
+      body.retry_after = error.retryAfterSeconds;
+    }
+    return { status: 503, body };
+  }
+
+  return null;
+}
+
+module.exports = {
+  GtinMappingError,
+  MAPPING_SOURCES,
+  registerGtinMappingDriver,
+  getGtinMappingStore,
+  setGtinMappingStore,
+  getMapping,
+  listMappings,
+  saveMapping,
+  deleteMapping,
+  learnFromScan,
+  resolveGtin,
+  getErrorResponse,
+};
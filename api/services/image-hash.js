@@ -0,0 +1,81 @@
+/**
+ * Perceptual Image Hash
+ *
+ * Computes a difference hash (dHash) of an image: the image is shrunk to a
+ * 17x16 greyscale thumbnail and each of the 256 bits records whether a pixel
+ * is brighter than its right-hand neighbour. Recompressed copies of the same
+ * photo produce the same or a very close hash, so they can be matched by
+ * Hamming distance.
+ */
+
+const sharp = require('sharp');
+
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Hashes with fewer set (or unset) bits come from near-uniform images, which
+// all look alike and would match each other
+const MIN_DETAIL_BITS = 16;
+
+/**
+ * Compute the perceptual hash of an image
+ *
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, WebP, ...)
+ * @returns {Promise<string|null>} 256-bit hash as 64 hex characters, or null if the
+ *   image can't be decoded or has too little detail to hash
+ */
+async function computePerceptualHash(buffer) {
+  let pixels;
+  try {
+    pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  } catch (error) {
+    console.log(`[ImageHash] Could not decode image: ${error.message}`);
+    return null;
+  }
+
+  let hash = 0n;
+  let setBits = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      const bit = left > right ? 1 : 0;
+      hash = (hash << 1n) | BigInt(bit);
+      setBits += bit;
+    }
+  }
+
+  if (setBits < MIN_DETAIL_BITS || setBits > HASH_BITS - MIN_DETAIL_BITS) {
+    return null;
+  }
+
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+/**
+ * Count the bits that differ between two hashes
+ *
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0 = identical)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  computePerceptualHash,
+  hammingDistance,
+};
@@ -0,0 +1,233 @@
+/**
+ * Image Preprocessor
+ *
+ * Prepares uploads before they are sent to the vision model:
+ * - Detects the real file type from magic bytes (the client's mimetype is ignored)
+ * - Applies EXIF orientation so text is upright
+ * - Downscales to the provider's maximum dimension and re-encodes as JPEG
+ * - Rejects unreadable or blank images early
+ * - Runs a quick quality pre-check (brightness, contrast, sharpness, resolution)
+ */
+
+const sharp = require('sharp');
+
+// Formats the decoder accepts
+const SUPPORTED_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+// Quality of the re-encoded JPEG sent to the model
+const JPEG_QUALITY = 85;
+
+// Greyscale standard deviation below which an image has no content
+const BLANK_STDEV = 4;
+
+// Quality pre-check thresholds
+const DARK_MEAN = 40;
+const BRIGHT_MEAN = 225;
+const LOW_CONTRAST_STDEV = 25;
+const BLURRY_SHARPNESS = 6;
+const MIN_DIMENSION = 480;
+
+// Size pixel statistics are measured at, so results don't depend on resolution
+const SAMPLE_SIZE = 512;
+
+/**
+ * Custom error class for image preprocessing errors
+ */
+class ImagePreprocessError extends Error {
+  constructor(message, code, imageIndex = null, originalError = null) {
+    super(message);
+    this.name = 'ImagePreprocessError';
+    this.code = code;
+    this.imageIndex = imageIndex;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Detect an image type from its magic bytes
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'gif', 'heic', 'bmp', 'tiff' or null
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'tiff';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' &&
+      /^(?:heic|heix|hevc|hevx|mif1|msf1)$/.test(buffer.toString('ascii', 8, 12))) return 'heic';
+
+  return null;
+}
+
+/**
+ * Mean and standard deviation of a single-channel raw image
+ *
+ * sharp's stats() reads the input image, not the result of the pipeline, so
+ * pixels are rendered first and measured here.
+ *
+ * @param {Object} pipeline - sharp instance producing one channel
+ * @returns {Promise<Object>} { mean, stdev }
+ */
+async function measurePixels(pipeline) {
+  const pixels = await pipeline.raw().toBuffer();
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (const value of pixels) {
+    sum += value;
+    sumSquares += value * value;
+  }
+
+  const mean = sum / pixels.length;
+  return { mean, stdev: Math.sqrt(Math.max(sumSquares / pixels.length - mean * mean, 0)) };
+}
+
+/**
+ * Measure sharpness as the spread of a Laplacian edge filter
+ *
+ * @param {Object} image - sharp instance of the image
+ * @returns {Promise<number>} Standard deviation of the filtered image (higher is sharper)
+ */
+async function measureSharpness(image) {
+  const { stdev } = await measurePixels(image
+    .clone()
+    .greyscale()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], scale: 1, offset: 128 }));
+  return stdev;
+}
+
+/**
+ * Grade image quality from simple pixel statistics
+ *
+ * @param {Object} metrics - { brightness, contrast, sharpness, width, height }
+ * @returns {Object} { level, issues, ...metrics }
+ */
+function gradeQuality(metrics) {
+  const issues = [];
+
+  if (metrics.brightness < DARK_MEAN) issues.push('too_dark');
+  if (metrics.brightness > BRIGHT_MEAN) issues.push('too_bright');
+  if (metrics.contrast < LOW_CONTRAST_STDEV) issues.push('low_contrast');
+  if (metrics.sharpness < BLURRY_SHARPNESS) issues.push('blurry');
+  if (Math.min(metrics.width, metrics.height) < MIN_DIMENSION) issues.push('low_resolution');
+
+  let level = 'good';
+  if (issues.length >= 2 || issues.includes('blurry')) {
+    level = 'poor';
+  } else if (issues.length === 1) {
+    level = 'fair';
+  }
+
+  return {
+    level,
+    issues,
+    brightness: Math.round(metrics.brightness),
+    contrast: Math.round(metrics.contrast),
+    sharpness: Math.round(metrics.sharpness * 10) / 10,
+  };
+}
+
+/**
+ * Validate, orient, downscale and quality-check an uploaded image
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} options - { maxDimension, index: position in the scan }
+ * @returns {Promise<Object>} { buffer, mimetype, preprocessing, quality }
+ * @throws {ImagePreprocessError} UNSUPPORTED_IMAGE_TYPE, UNREADABLE_IMAGE or BLANK_IMAGE
+ */
+async function preprocessImage(buffer, options = {}) {
+  const { maxDimension, index = null } = options;
+  const label = index === null ? 'Image' : `Image ${index + 1}`;
+
+  const detectedType = detectImageType(buffer);
+  if (!SUPPORTED_TYPES[detectedType]) {
+    const hint = detectedType === 'heic' ? ' Convert HEIC photos to JPEG before uploading.' : '';
+    throw new ImagePreprocessError(
+      `${label} is not a supported image (${detectedType || 'unknown type'}). Use JPEG, PNG or WebP.${hint}`,
+      'UNSUPPORTED_IMAGE_TYPE',
+      index
+    );
+  }
+
+  let oriented;
+  let metadata;
+  let info;
+  let output;
+  try {
+    metadata = await sharp(buffer).metadata();
+
+    // rotate() with no angle applies the EXIF orientation
+    oriented = sharp(buffer).rotate();
+    const resizer = oriented.clone();
+    if (maxDimension) {
+      resizer.resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+    }
+    ({ data: output, info } = await resizer
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    throw new ImagePreprocessError(`${label} could not be read: ${error.message}`, 'UNREADABLE_IMAGE', index, error);
+  }
+
+  // Measure the downscaled output - much cheaper than a 12MP original
+  const resized = sharp(output);
+  const { mean, stdev } = await measurePixels(resized
+    .clone()
+    .greyscale()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true }));
+
+  if (stdev < BLANK_STDEV) {
+    throw new ImagePreprocessError(
+      `${label} appears to be blank. Retake the photo with the pack in view.`,
+      'BLANK_IMAGE',
+      index
+    );
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const swapped = (metadata.orientation || 1) >= 5;
+  const originalWidth = swapped ? metadata.height : metadata.width;
+  const originalHeight = swapped ? metadata.width : metadata.height;
+
+  const quality = gradeQuality({
+    brightness: mean,
+    contrast: stdev,
+    sharpness: await measureSharpness(resized),
+    width: originalWidth,
+    height: originalHeight,
+  });
+
+  return {
+    buffer: output,
+    mimetype: 'image/jpeg',
+    preprocessing: {
+      detected_type: detectedType,
+      original_size: buffer.length,
+      original_width: originalWidth,
+      original_height: originalHeight,
+      orientation: metadata.orientation || 1,
+      width: info.width,
+      height: info.height,
+      size: output.length,
+      resized: info.width !== originalWidth || info.height !== originalHeight,
+    },
+    quality,
+  };
+}
+
+module.exports = {
+  ImagePreprocessError,
+  SUPPORTED_TYPES,
+  detectImageType,
+  preprocessImage,
+};
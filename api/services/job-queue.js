@@ -0,0 +1,376 @@
+/**
+ * Job Queue
+ *
+ * Runs slow work (such as an analysis on a slow provider) in the background
+ * and tracks its state so clients can poll for the result or receive a
+ * webhook when it finishes.
+ *
+ * Each job records its attempts, per-attempt timeout and errors:
+ *
+ *   queued -> running -> succeeded
+ *                     -> retrying -> running -> ...
+ *                     -> failed
+ *
+ * Jobs go through a driver, so the in-process queue can be swapped for a
+ * hosted one (SQS, Cloud Tasks, BullMQ, ...) with registerJobQueueDriver():
+ * - local - in-process queue with bounded concurrency (default). Jobs are lost
+ *   if the process exits, and serverless platforms freeze the process once
+ *   the response is sent, so jobs would never run. On Vercel, createJob
+ *   refuses to queue on the local driver; register a hosted driver there.
+ */
+
+const crypto = require('crypto');
+const { deliverWebhook } = require('./webhooks');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETENTION_SECONDS = 3600;
+
+// Base backoff between attempts (doubled each time)
+const RETRY_BASE_MS = 2000;
+
+// Job states
+const JOB_STATUSES = ['queued', 'running', 'retrying', 'succeeded', 'failed'];
+
+/**
+ * Custom error class for job queue errors
+ */
+class JobQueueError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'JobQueueError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+// Helper for async delays
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a positive integer setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value
+ */
+function getSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * In-process driver
+ *
+ * Keeps jobs in memory and runs up to JOB_CONCURRENCY of them at a time.
+ * Finished jobs are dropped after JOB_RETENTION_SECONDS.
+ *
+ * @returns {Object} Driver
+ */
+function createLocalDriver() {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+  let worker = null;
+
+  const prune = () => {
+    const cutoff = Date.now() - getSetting('JOB_RETENTION_SECONDS', DEFAULT_RETENTION_SECONDS) * 1000;
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const pump = () => {
+    const concurrency = getSetting('JOB_CONCURRENCY', DEFAULT_CONCURRENCY);
+    while (worker && running < concurrency && pending.length > 0) {
+      const id = pending.shift();
+      running++;
+      Promise.resolve(worker(id))
+        .catch(error => console.error(`[Jobs] Worker error for ${id}:`, error.message))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  };
+
+  return {
+    name: 'local',
+    async save(job) {
+      jobs.set(job.id, job);
+    },
+    async get(id) {
+      prune();
+      return jobs.get(id) || null;
+    },
+    async enqueue(id) {
+      pending.push(id);
+      pump();
+    },
+    start(handler) {
+      worker = handler;
+      pump();
+    },
+  };
+}
+
+// Driver factories by name
+const driverFactories = {
+  local: createLocalDriver,
+};
+
+// Active driver (created on first use)
+let activeDriver = null;
+
+// Job handlers by type
+const handlers = {};
+
+/**
+ * Register a queue driver factory
+ *
+ * A driver implements: async save(job), async get(id), async enqueue(id) and
+ * start(worker), where worker(id) runs a job and is called by the driver
+ * (or by the hosted queue's consumer) for every enqueued ID.
+ *
+ * @param {string} name - Driver name used in JOB_QUEUE
+ * @param {Function} factory - Returns a driver
+ */
+function registerJobQueueDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new JobQueueError('Invalid job queue driver', 'INVALID_DRIVER');
+  }
+  driverFactories[name] = factory;
+}
+
+/**
+ * Get the configured driver, starting its worker on first use
+ *
+ * @returns {Object} Driver
+ * @throws {JobQueueError} If JOB_QUEUE names an unknown driver
+ */
+function getJobQueue() {
+  const name = (process.env.JOB_QUEUE || 'local').toLowerCase().trim();
+
+  if (!activeDriver || activeDriver.configuredAs !== name) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new JobQueueError(
+        `Unknown job queue: ${name}. Available: ${Object.keys(driverFactories).join(', ')}`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    activeDriver = { ...factory(), configuredAs: name };
+    activeDriver.start(runJob);
+    console.log(`[Jobs] Using ${activeDriver.name} queue`);
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Check whether a driver would lose jobs on this platform
+ *
+ * @param {Object} queue - Driver
+ * @returns {boolean} True for the in-process driver on a serverless platform
+ */
+function isQueueUnusable(queue) {
+  return queue.name === 'local' && Boolean(process.env.VERCEL);
+}
+
+/**
+ * Register the function that runs jobs of a type
+ *
+ * The handler receives the job's payload, the job and { signal }, and
+ * resolves to the result. The signal aborts when the attempt times out; the
+ * handler should stop its work then. Throwing an error with
+ * `retryable: true` retries the job.
+ *
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job, { signal }) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Public view of a job (without its payload)
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Job details
+ */
+function describeJob(job) {
+  const { payload, ...details } = job;
+  return details;
+}
+
+/**
+ * Create a job and queue it
+ *
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - Input for the handler
+ * @param {Object} options - { api_key_id, callback_url, max_attempts, timeout_ms }
+ * @returns {Promise<Object>} Job details
+ * @throws {JobQueueError} QUEUE_NOT_DURABLE if jobs would never run (local driver on Vercel)
+ */
+async function createJob(type, payload, options = {}) {
+  if (!handlers[type]) {
+    throw new JobQueueError(`No handler registered for ${type} jobs`, 'UNKNOWN_JOB_TYPE');
+  }
+
+  const queue = getJobQueue();
+  if (isQueueUnusable(queue)) {
+    console.error('[Jobs] Refusing to queue: the local driver does not run jobs on Vercel. Register a hosted JOB_QUEUE driver');
+    throw new JobQueueError(
+      'The local job queue does not run jobs on serverless deployments. Configure a hosted JOB_QUEUE driver',
+      'QUEUE_NOT_DURABLE'
+    );
+  }
+
+  const job = {
+    id: `job_${crypto.randomUUID()}`,
+    type,
+    api_key_id: options.api_key_id || null,
+    status: 'queued',
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    attempts: 0,
+    max_attempts: options.max_attempts || getSetting('JOB_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS),
+    timeout_ms: options.timeout_ms || getSetting('JOB_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    next_attempt_at: null,
+    errors: [],
+    error: null,
+    result: null,
+    webhook: options.callback_url
+      ? { url: options.callback_url, delivered: false, attempts: 0, status: null, error: null, delivered_at: null }
+      : null,
+    payload,
+  };
+
+  await queue.save(job);
+  await queue.enqueue(job.id);
+  console.log(`[Jobs] Queued ${type} job ${job.id}`);
+  return describeJob(job);
+}
+
+/**
+ * Get a job
+ *
+ * @param {string} id - Job ID
+ * @param {Object} filters - { api_key_id } - only return the job if it was created with this key (null for no key)
+ * @returns {Promise<Object|null>} Job details, or null if missing or created by another key
+ */
+async function getJob(id, filters = {}) {
+  const job = await getJobQueue().get(id);
+  if (!job) return null;
+  if (filters.api_key_id !== undefined && (job.api_key_id || null) !== filters.api_key_id) return null;
+  return describeJob(job);
+}
+
+/**
+ * Run a handler, failing if it takes longer than the job's timeout
+ *
+ * On timeout the handler's signal is aborted and the attempt fails once the
+ * handler has stopped, so a retry never overlaps the attempt before it and
+ * a job never holds more than one JOB_CONCURRENCY slot.
+ *
+ * @param {Function} handler - Job handler
+ * @param {Object} job - Job record
+ * @returns {Promise<*>} Handler result
+ */
+async function runWithTimeout(handler, job) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), job.timeout_ms);
+
+  try {
+    const result = await handler(job.payload, describeJob(job), { signal: controller.signal });
+    controller.signal.throwIfAborted();
+    return result;
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+
+    const timeoutError = new JobQueueError(`Attempt timed out after ${job.timeout_ms}ms`, 'TIMEOUT');
+    timeoutError.retryable = true;
+    throw timeoutError;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a queued job to completion, retrying retryable failures
+ *
+ * Called by the queue driver's worker for each job ID.
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<void>}
+ */
+async function runJob(id) {
+  const queue = activeDriver;
+  const job = await queue.get(id);
+  if (!job || job.status === 'succeeded' || job.status === 'failed') return;
+
+  const handler = handlers[job.type];
+  job.started_at = job.started_at || new Date().toISOString();
+
+  while (job.attempts < job.max_attempts) {
+    job.attempts++;
+    job.status = 'running';
+    job.next_attempt_at = null;
+    await queue.save(job);
+    console.log(`[Jobs] Running ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    try {
+      job.result = await runWithTimeout(handler, job);
+      job.status = 'succeeded';
+      break;
+    } catch (error) {
+      job.errors.push({
+        attempt: job.attempts,
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message,
+        at: new Date().toISOString(),
+      });
+
+      if (!error.retryable || job.attempts >= job.max_attempts) {
+        job.status = 'failed';
+        job.error = error.response || { error: error.message, code: error.code || 'INTERNAL_ERROR' };
+        break;
+      }
+
+      const waitMs = RETRY_BASE_MS * Math.pow(2, job.attempts - 1);
+      job.status = 'retrying';
+      job.next_attempt_at = new Date(Date.now() + waitMs).toISOString();
+      await queue.save(job);
+      console.log(`[Jobs] ${job.id} failed (${error.code}), retrying in ${waitMs}ms`);
+      await delay(waitMs);
+    }
+  }
+
+  // Free the uploaded images once the job is done
+  job.payload = null;
+  job.finished_at = new Date().toISOString();
+  await queue.save(job);
+  console.log(`[Jobs] ${job.id} ${job.status} after ${job.attempts} attempt(s)`);
+
+  if (job.webhook) {
+    const event = `job.${job.status}`;
+    job.webhook = { ...job.webhook, ...(await deliverWebhook(job.webhook.url, event, { job: describeJob(job) })) };
+    await queue.save(job);
+  }
+}
+
+module.exports = {
+  JobQueueError,
+  JOB_STATUSES,
+  registerJobQueueDriver,
+  registerJobHandler,
+  getJobQueue,
+  isQueueUnusable,
+  createJob,
+  getJob,
+  runJob,
+};
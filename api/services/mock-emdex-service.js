@@ -7,6 +7,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { normalizeNafdacNumber, nafdacNumbersMatch } = require('./nafdac-number');
 
 // Load mock data
 let mockData = null;
@@ -60,11 +61,13 @@ async function mockBrandSearch(query) {
   }
   
   const queryLower = query.toLowerCase().trim();
+  const queryNafdac = normalizeNafdacNumber(query);
   
   const results = data.brands.filter(brand => {
     const brandNameMatch = brand.brand_name.toLowerCase().includes(queryLower);
     const genericNameMatch = brand.generic_name.toLowerCase().includes(queryLower);
-    const nafdacMatch = brand.nafdac_number.toLowerCase().includes(queryLower);
+    const nafdacMatch = brand.nafdac_number.toLowerCase().includes(queryLower) ||
+      (queryNafdac !== null && normalizeNafdacNumber(brand.nafdac_number) === queryNafdac);
     const categoryMatch = brand.category.toLowerCase().includes(queryLower);
     const manufacturerMatch = brand.manufacturer.toLowerCase().includes(queryLower);
     
@@ -187,12 +190,7 @@ async function mockVerifyNafdac(nafdacNumber) {
     };
   }
   
-  const normalizedNafdac = nafdacNumber.toUpperCase().replace(/\s+/g, '');
-  
-  const brand = data.brands.find(b => {
-    const brandNafdac = b.nafdac_number.toUpperCase().replace(/\s+/g, '');
-    return brandNafdac === normalizedNafdac;
-  });
+  const brand = data.brands.find(b => nafdacNumbersMatch(b.nafdac_number, nafdacNumber));
   
   if (brand) {
     console.log(`[MOCK EMDEX] Verified NAFDAC "${nafdacNumber}" -> ${brand.brand_name}`);
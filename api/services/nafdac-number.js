@@ -0,0 +1,265 @@
+/**
+ * NAFDAC Registration Number Service
+ *
+ * Extracts, normalizes and validates NAFDAC registration numbers, and
+ * generates OCR-confusion variants to try during verification.
+ *
+ * Registration numbers look like "A4-0451", "04-1234", "B1-2345" or "A11-0123L":
+ * - Prefix: product category (letter A/B with 1-11, or 01-09)
+ * - Serial: 4 to 6 digits
+ * - Suffix: optional 1-2 letters
+ *
+ * Every part of the app that compares NAFDAC numbers (analyze, verification,
+ * search) should go through this module.
+ */
+
+// Valid category prefixes
+const PREFIX_PATTERN = /^(?:[AB](?:[1-9]|1[01])|0[1-9])$/;
+const SERIAL_PATTERN = /^\d{4,6}$/;
+const SUFFIX_PATTERN = /^[A-Z]{0,2}$/;
+
+// Loose pattern for finding a candidate inside free text (tolerates OCR letters)
+const CANDIDATE_PATTERN = /(?:^|[^A-Z0-9])([A-Z0-9]{1,3})\s*[-–—_.\/\s]?\s*([0-9OISB]{4,6})([A-Z]{0,2})(?=$|[^A-Z0-9])/;
+
+// Labels printed before the number on packs
+const LABEL_PATTERN = /\b(?:NAFDAC|REG(?:ISTRATION)?|REGN|NO|NUMBER|NRN)\b\.?|N°|[:#]/g;
+
+// Letters misread for digits (and vice versa)
+const LETTER_TO_DIGIT = { O: '0', I: '1', S: '5', B: '8' };
+const DIGIT_TO_LETTER = { 0: 'O', 1: 'I', 5: 'S', 8: 'B' };
+
+/**
+ * Replace OCR letters with the digits they are usually misread from
+ *
+ * @param {string} value - Characters expected to be digits
+ * @returns {string} Digits
+ */
+function lettersToDigits(value) {
+  return value.replace(/[OISB]/g, char => LETTER_TO_DIGIT[char]);
+}
+
+/**
+ * Correct a prefix read by OCR
+ *
+ * @param {string} prefix - Raw prefix (1-3 characters)
+ * @returns {string} Corrected prefix
+ */
+function correctPrefix(prefix) {
+  let first = prefix[0];
+  const rest = lettersToDigits(prefix.substring(1));
+
+  // "84-" is not a valid prefix but "B4-" is; "O4-" means "04-"
+  if (first === '8' && rest.length > 0) first = 'B';
+  if (first === 'O') first = '0';
+
+  // A single digit prefix ("4-0451") is missing its category letter - leave as-is
+  return first + rest;
+}
+
+/**
+ * Extract a NAFDAC number from free text such as "NAFDAC REG NO: A4 - 0451"
+ *
+ * @param {string} text - Text containing a registration number
+ * @returns {string|null} The raw candidate (prefix-serial+suffix) or null
+ */
+function extractNafdacNumber(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const cleaned = text.toUpperCase().replace(LABEL_PATTERN, ' ').trim();
+  const match = cleaned.match(CANDIDATE_PATTERN);
+  if (!match) return null;
+
+  return `${match[1]}-${match[2]}${match[3]}`;
+}
+
+/**
+ * Parse a NAFDAC number into its parts, correcting OCR confusions by position
+ *
+ * @param {string} value - Raw NAFDAC number or text containing one
+ * @returns {Object|null} { prefix, serial, suffix, normalized } or null
+ */
+function parseNafdacNumber(value) {
+  const candidate = extractNafdacNumber(value);
+  if (!candidate) return null;
+
+  const [rawPrefix, rest] = candidate.split('-');
+  const serialMatch = rest.match(/^([0-9OISB]{4,6})([A-Z]{0,2})$/);
+  if (!serialMatch) return null;
+
+  const prefix = correctPrefix(rawPrefix);
+  const serial = lettersToDigits(serialMatch[1]);
+  const suffix = serialMatch[2];
+
+  return {
+    prefix,
+    serial,
+    suffix,
+    normalized: `${prefix}-${serial}${suffix}`,
+  };
+}
+
+/**
+ * Normalize a NAFDAC number to canonical "A4-0451" form
+ *
+ * @param {string} value - Raw NAFDAC number
+ * @returns {string|null} Normalized number, or null if none can be found
+ */
+function normalizeNafdacNumber(value) {
+  const parsed = parseNafdacNumber(value);
+  return parsed ? parsed.normalized : null;
+}
+
+/**
+ * Validate a NAFDAC number against the known format rules
+ *
+ * @param {string} value - Raw NAFDAC number
+ * @returns {Object} { valid, normalized, prefix, serial, suffix, errors }
+ */
+function validateNafdacNumber(value) {
+  const parsed = parseNafdacNumber(value);
+
+  if (!parsed) {
+    return {
+      valid: false,
+      normalized: null,
+      prefix: null,
+      serial: null,
+      suffix: null,
+      errors: ['No NAFDAC registration number found'],
+    };
+  }
+
+  const errors = [];
+  if (!PREFIX_PATTERN.test(parsed.prefix)) {
+    errors.push(`Unknown registration prefix "${parsed.prefix}"`);
+  }
+  if (!SERIAL_PATTERN.test(parsed.serial)) {
+    errors.push(`Serial "${parsed.serial}" must be 4 to 6 digits`);
+  }
+  if (!SUFFIX_PATTERN.test(parsed.suffix)) {
+    errors.push(`Invalid suffix "${parsed.suffix}"`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    ...parsed,
+    errors,
+  };
+}
+
+/**
+ * Build a comparison key that ignores O/0, I/1, S/5 and B/8 confusions
+ *
+ * @param {string} value - Raw NAFDAC number
+ * @returns {string|null} Confusion-insensitive key
+ */
+function getConfusionKey(value) {
+  const normalized = normalizeNafdacNumber(value);
+  if (!normalized) return null;
+  return normalized.replace(/[OISB]/g, char => LETTER_TO_DIGIT[char]);
+}
+
+/**
+ * Compare two NAFDAC numbers
+ *
+ * @param {string} a - First number
+ * @param {string} b - Second number
+ * @returns {string|null} 'exact' if they normalize to the same value,
+ *   'ocr' if they only differ by OCR confusions, otherwise null
+ */
+function compareNafdacNumbers(a, b) {
+  const normalizedA = normalizeNafdacNumber(a);
+  const normalizedB = normalizeNafdacNumber(b);
+  if (!normalizedA || !normalizedB) return null;
+
+  if (normalizedA === normalizedB) return 'exact';
+  if (getConfusionKey(normalizedA) === getConfusionKey(normalizedB)) return 'ocr';
+  return null;
+}
+
+/**
+ * Check whether two NAFDAC numbers refer to the same registration
+ *
+ * @param {string} a - First number
+ * @param {string} b - Second number
+ * @returns {boolean} True if they match exactly or up to OCR confusions
+ */
+function nafdacNumbersMatch(a, b) {
+  return compareNafdacNumbers(a, b) !== null;
+}
+
+/**
+ * Generate likely OCR-confusion variants of a NAFDAC number
+ *
+ * Swaps O/0, I/1, S/5 and B/8 at each position, fewest swaps first.
+ * Useful as alternative search queries when the registry stores a number
+ * as it was typed rather than in canonical form.
+ *
+ * @param {string} value - Raw NAFDAC number
+ * @param {number} maxVariants - Maximum variants to return (default: 8)
+ * @returns {Array<string>} Variants, excluding the normalized number itself
+ */
+function generateOcrVariants(value, maxVariants = 8) {
+  const normalized = normalizeNafdacNumber(value);
+  if (!normalized) return [];
+
+  // Positions that have a confusable counterpart
+  const positions = [];
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    const swap = DIGIT_TO_LETTER[char] || LETTER_TO_DIGIT[char];
+    if (swap) positions.push({ index: i, swap });
+  }
+
+  const variants = new Set();
+
+  // Single swaps first, then pairs
+  for (const position of positions) {
+    variants.add(replaceAt(normalized, position.index, position.swap));
+  }
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      let variant = replaceAt(normalized, positions[i].index, positions[i].swap);
+      variant = replaceAt(variant, positions[j].index, positions[j].swap);
+      variants.add(variant);
+    }
+  }
+
+  // Prefix category letter misread as a digit (and vice versa)
+  const parsed = parseNafdacNumber(normalized);
+  if (parsed && /^[AB]\d/.test(parsed.prefix)) {
+    const otherLetter = parsed.prefix[0] === 'A' ? 'B' : 'A';
+    variants.add(`${otherLetter}${parsed.prefix.substring(1)}-${parsed.serial}${parsed.suffix}`);
+  }
+
+  variants.delete(normalized);
+  return Array.from(variants).slice(0, maxVariants);
+}
+
+function replaceAt(value, index, char) {
+  return value.substring(0, index) + char + value.substring(index + 1);
+}
+
+/**
+ * Check whether free text looks like a NAFDAC number (e.g., a search query)
+ *
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the whole text is a valid registration number
+ */
+function looksLikeNafdacNumber(text) {
+  if (!text || typeof text !== 'string') return false;
+  const stripped = text.toUpperCase().replace(LABEL_PATTERN, ' ').trim();
+  if (!/\d/.test(stripped) || stripped.length > 16) return false;
+  return validateNafdacNumber(stripped).valid;
+}
+
+module.exports = {
+  extractNafdacNumber,
+  parseNafdacNumber,
+  normalizeNafdacNumber,
+  validateNafdacNumber,
+  compareNafdacNumbers,
+  nafdacNumbersMatch,
+  generateOcrVariants,
+  looksLikeNafdacNumber,
+};
@@ -0,0 +1,291 @@
+/**
+ * Pack Date Parser
+ *
+ * Normalizes the expiry and manufacturing dates printed on packs, which the
+ * vision model returns as free text ("EXP 03/26", "MAR 2026", "2026-03"),
+ * and checks them for expired, soon-to-expire or impossible combinations.
+ *
+ * Parsed dates carry a precision ('day', 'month' or 'year'). A date printed
+ * without a day covers the whole period, so "EXP 03/26" is still usable until
+ * the end of March 2026.
+ *
+ * Tune the "expiring soon" window with EXPIRY_WARNING_DAYS (default: 90).
+ */
+
+const DEFAULT_WARNING_DAYS = 90;
+
+// Longest believable shelf life for a medicine
+const MAX_SHELF_LIFE_YEARS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels printed before the date on packs
+const LABEL_PATTERN = /\b(?:EXP(?:IRY|IRES|IRATION)?|USE\s+BEFORE|USE\s+BY|BEST\s+BEFORE|END|MFG|MFD|MFR|MANUFACTURED|MANUFACTURING|MANUF|MAN|DOM|DOE|PROD(?:UCTION)?|DATE|ON|BY|D)\b\.?|[:#]/g;
+
+const MONTHS = {
+  JAN: 1, JANUARY: 1,
+  FEB: 2, FEBRUARY: 2,
+  MAR: 3, MARCH: 3,
+  APR: 4, APRIL: 4,
+  MAY: 5,
+  JUN: 6, JUNE: 6,
+  JUL: 7, JULY: 7,
+  AUG: 8, AUGUST: 8,
+  SEP: 9, SEPT: 9, SEPTEMBER: 9,
+  OCT: 10, OCTOBER: 10,
+  NOV: 11, NOVEMBER: 11,
+  DEC: 12, DECEMBER: 12,
+};
+
+/**
+ * Get the configured "expiring soon" window
+ *
+ * @returns {number} Window in days
+ */
+function getWarningDays() {
+  const value = parseInt(process.env.EXPIRY_WARNING_DAYS, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_WARNING_DAYS : value;
+}
+
+/**
+ * Expand a two-digit year ("26" -> 2026)
+ *
+ * @param {string} value - Year digits
+ * @returns {number} Four-digit year
+ */
+function toFullYear(value) {
+  const year = parseInt(value, 10);
+  return value.length <= 2 ? 2000 + year : year;
+}
+
+/**
+ * Number of days in a month
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ *
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function toIsoDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Build a parsed date from its parts
+ *
+ * @param {string} raw - Original text
+ * @param {number} year - Year
+ * @param {number|null} month - Month (1-12) or null
+ * @param {number|null} day - Day or null
+ * @returns {Object|null} Parsed date or null if the parts are out of range
+ */
+function buildDate(raw, year, month = null, day = null) {
+  if (year < 1990 || year > 2100) return null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  if (day !== null && (day < 1 || day > daysInMonth(year, month))) return null;
+
+  const pad = number => String(number).padStart(2, '0');
+
+  let date;
+  let start;
+  let end;
+  let precision;
+
+  if (day !== null) {
+    precision = 'day';
+    date = `${year}-${pad(month)}-${pad(day)}`;
+    start = end = date;
+  } else if (month !== null) {
+    precision = 'month';
+    date = `${year}-${pad(month)}`;
+    start = `${date}-01`;
+    end = `${date}-${pad(daysInMonth(year, month))}`;
+  } else {
+    precision = 'year';
+    date = String(year);
+    start = `${year}-01-01`;
+    end = `${year}-12-31`;
+  }
+
+  return { raw, date, precision, start, end };
+}
+
+/**
+ * Parse a date printed on a pack
+ *
+ * Numeric dates are read day-first (DD/MM/YYYY), as printed in Nigeria.
+ * Two-part numeric dates are read as MM/YY or MM/YYYY, or YYYY-MM when the
+ * year comes first.
+ *
+ * @param {string} value - Text like "EXP 03/26", "MAR 2026" or "2026-03-15"
+ * @returns {Object|null} { raw, date, precision, start, end } or null if unreadable
+ */
+function parsePackDate(value) {
+  if (value === null || value === undefined) return null;
+
+  const raw = String(value).trim();
+  const text = raw
+    .toUpperCase()
+    .replace(/(\d)(?:ST|ND|RD|TH)\b/g, '$1')
+    .replace(/([A-Z])(?=\d)|(\d)(?=[A-Z])/g, '$1$2 ')
+    .replace(LABEL_PATTERN, ' ')
+    .replace(/,/g, ' ')
+    .trim();
+
+  if (!text) return null;
+
+  // Month names: "MAR 2026", "15 MAR 2026", "MAR 15, 2026", "MAR-26"
+  const words = text.split(/[\s\-\/.]+/).filter(Boolean);
+  const monthIndex = words.findIndex(word => MONTHS[word] !== undefined);
+  if (monthIndex !== -1) {
+    const month = MONTHS[words[monthIndex]];
+    const numbers = words.filter((word, index) => index !== monthIndex && /^\d{1,4}$/.test(word));
+
+    if (numbers.length === 1) {
+      return buildDate(raw, toFullYear(numbers[0]), month);
+    }
+    if (numbers.length === 2) {
+      // The 4-digit number is the year; otherwise the day comes first ("15 MAR 26", "MAR 15 26")
+      const [dayPart, yearPart] = numbers[0].length === 4 ? [numbers[1], numbers[0]] : numbers;
+      return buildDate(raw, toFullYear(yearPart), month, parseInt(dayPart, 10));
+    }
+    return null;
+  }
+
+  if (/[A-Z]/.test(text)) return null;
+
+  const parts = text.split(/[\s\-\/.]+/).filter(Boolean);
+  if (parts.some(part => !/^\d+$/.test(part))) return null;
+
+  // Compact forms: "032026" (MMYYYY), "20260315" (YYYYMMDD)
+  if (parts.length === 1) {
+    const [part] = parts;
+    if (part.length === 4) return buildDate(raw, parseInt(part, 10));
+    if (part.length === 6 && /^(?:19|20)/.test(part)) {
+      return buildDate(raw, parseInt(part.substring(0, 4), 10), parseInt(part.substring(4), 10));
+    }
+    if (part.length === 6) {
+      return buildDate(raw, parseInt(part.substring(2), 10), parseInt(part.substring(0, 2), 10));
+    }
+    if (part.length === 8 && /^(?:19|20)/.test(part)) {
+      return buildDate(raw, parseInt(part.substring(0, 4), 10),
+        parseInt(part.substring(4, 6), 10), parseInt(part.substring(6), 10));
+    }
+    return null;
+  }
+
+  if (parts.length === 2) {
+    const [first, second] = parts;
+    if (first.length === 4) {
+      return buildDate(raw, parseInt(first, 10), parseInt(second, 10));
+    }
+    if (second.length === 2 || second.length === 4) {
+      return buildDate(raw, toFullYear(second), parseInt(first, 10));
+    }
+    return null;
+  }
+
+  if (parts.length === 3) {
+    const [first, second, third] = parts;
+    if (first.length === 4) {
+      return buildDate(raw, parseInt(first, 10), parseInt(second, 10), parseInt(third, 10));
+    }
+    if (third.length === 2 || third.length === 4) {
+      return buildDate(raw, toFullYear(third), parseInt(second, 10), parseInt(first, 10));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the expiry and manufacturing dates of an analyzed pack
+ *
+ * @param {Object} analysis - Analysis result with expiry_date and manufacturing_date
+ * @param {Object} options - { now: Date, warningDays: number }
+ * @returns {Object} { expiry, manufacturing, status, is_expired, days_until_expiry, warnings }
+ */
+function checkPackDates(analysis, options = {}) {
+  const now = options.now || new Date();
+  const warningDays = options.warningDays ?? getWarningDays();
+  const today = toIsoDate(now);
+  const warnings = [];
+
+  const addWarning = (code, severity, message) => {
+    warnings.push({ code, severity, message });
+  };
+
+  const expiryText = analysis?.expiry_date || null;
+  const manufacturingText = analysis?.manufacturing_date || null;
+  const expiry = parsePackDate(expiryText);
+  const manufacturing = parsePackDate(manufacturingText);
+
+  if (expiryText && !expiry) {
+    addWarning('EXPIRY_UNREADABLE', 'info', `Could not read the expiry date "${expiryText}"`);
+  }
+  if (manufacturingText && !manufacturing) {
+    addWarning('MANUFACTURING_DATE_UNREADABLE', 'info',
+      `Could not read the manufacturing date "${manufacturingText}"`);
+  }
+
+  let status = 'unknown';
+  let daysUntilExpiry = null;
+
+  if (expiry) {
+    // A month- or year-precision expiry is good until the end of the period
+    daysUntilExpiry = Math.round((Date.parse(expiry.end) - Date.parse(today)) / DAY_MS);
+
+    if (daysUntilExpiry < 0) {
+      status = 'expired';
+      addWarning('EXPIRED', 'critical', `This product expired on ${expiry.end} (${expiry.raw})`);
+    } else if (daysUntilExpiry <= warningDays) {
+      status = 'expiring_soon';
+      addWarning('EXPIRING_SOON', 'warning',
+        `This product expires in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'} (${expiry.raw})`);
+    } else {
+      status = 'valid';
+    }
+  }
+
+  if (manufacturing && manufacturing.start > today) {
+    addWarning('MANUFACTURED_IN_FUTURE', 'critical',
+      `The manufacturing date ${manufacturing.raw} is in the future`);
+  }
+
+  if (expiry && manufacturing) {
+    if (manufacturing.start >= expiry.end) {
+      addWarning('MANUFACTURED_AFTER_EXPIRY', 'critical',
+        `The manufacturing date (${manufacturing.raw}) is not before the expiry date (${expiry.raw})`);
+    } else {
+      const shelfLifeYears = (Date.parse(expiry.end) - Date.parse(manufacturing.start)) / (365.25 * DAY_MS);
+      if (shelfLifeYears > MAX_SHELF_LIFE_YEARS) {
+        addWarning('SHELF_LIFE_TOO_LONG', 'warning',
+          `Shelf life of ${Math.floor(shelfLifeYears)} years between ${manufacturing.raw} and ${expiry.raw} is implausible`);
+      }
+    }
+  }
+
+  return {
+    expiry,
+    manufacturing,
+    status,
+    is_expired: status === 'expired',
+    days_until_expiry: daysUntilExpiry,
+    warnings,
+  };
+}
+
+module.exports = {
+  parsePackDate,
+  checkPackDates,
+  getWarningDays,
+};
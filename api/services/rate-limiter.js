@@ -0,0 +1,359 @@
+/**
+ * Rate Limiter
+ *
+ * Throttles the public API with token buckets so a single client can't run
+ * up the vision bill or exhaust the EMDEX quota. Each client gets one bucket
+ * per policy; a request takes a token (or one per unit of work, such as each
+ * photo in a batch) and tokens refill at a steady rate up to the policy's
+ * burst size:
+ * - analyze - /v1/analyze and its stream and job variants (vision calls)
+ * - batch - /v1/analyze/batch, one token per photo. Its burst defaults to
+ *   BATCH_MAX_ITEMS' default, so a full batch fits in it
+ * - lookup - search, details, verification and the other read routes
+ *
+ * Clients are identified by their API key when the request has one, and by
+ * client IP otherwise.
+ *
+ * Buckets go through a store with the same interface for every backend:
+ * - memory - in-process only, per instance (default)
+ * - cache - the shared cache driver (CACHE_STORE), so instances share limits
+ * - none - rate limiting disabled
+ *
+ * The cache store reads and writes a bucket in two steps, so concurrent
+ * requests on different instances may occasionally both get the last token.
+ * Stores with atomic updates (e.g., a Redis script) plug in with
+ * registerRateLimitStoreDriver().
+ */
+
+const cacheService = require('./cache-service');
+
+// Default requests per minute by policy (RATE_LIMIT_<POLICY>_PER_MINUTE).
+// The burst size (RATE_LIMIT_<POLICY>_BURST) defaults to one minute's worth.
+const POLICIES = {
+  analyze: { perMinute: 10 },
+  batch: { perMinute: 50 },
+  lookup: { perMinute: 60 },
+};
+
+// Key prefix of buckets in the shared cache
+const CACHE_KEY_PREFIX = 'ratelimit';
+
+// Memory store: drop idle (full) buckets every this many requests
+const PRUNE_EVERY = 1000;
+
+// Headers browsers may read on cross-origin responses
+const EXPOSED_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+/**
+ * Custom error class for rate limiter errors
+ */
+class RateLimitError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Get a policy with its configured limits
+ *
+ * @param {string} name - Policy name (analyze, batch, lookup)
+ * @returns {Object} { name, perMinute, burst, refillPerMs }
+ * @throws {RateLimitError} If the policy doesn't exist
+ */
+function getPolicy(name) {
+  const defaults = POLICIES[name];
+  if (!defaults) {
+    throw new RateLimitError(`Unknown rate limit policy: ${name}`, 'UNKNOWN_POLICY');
+  }
+
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const perMinute = parseFloat(process.env[`${envPrefix}_PER_MINUTE`]) > 0
+    ? parseFloat(process.env[`${envPrefix}_PER_MINUTE`])
+    : defaults.perMinute;
+  const burst = parseInt(process.env[`${envPrefix}_BURST`], 10) > 0
+    ? parseInt(process.env[`${envPrefix}_BURST`], 10)
+    : Math.max(1, Math.round(perMinute));
+
+  return { name, perMinute, burst, refillPerMs: perMinute / 60000 };
+}
+
+/**
+ * Take tokens from a bucket
+ *
+ * Shared by all stores: refills the bucket for the time since its last
+ * update, then takes `cost` tokens if there are enough. A cost of 0 only
+ * checks that at least one token is left.
+ *
+ * @param {Object|null} state - Stored bucket ({ tokens, updatedAt }) or null for a new one
+ * @param {Object} policy - Policy from getPolicy
+ * @param {number} cost - Tokens to take
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { state, allowed, remaining, resetMs, retryAfterMs }
+ */
+function takeFromBucket(state, policy, cost, now) {
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state
+    ? Math.min(policy.burst, state.tokens + elapsed * policy.refillPerMs)
+    : policy.burst;
+
+  const needed = Math.max(cost, 1);
+  const allowed = tokens >= needed;
+  if (allowed) {
+    tokens -= cost;
+  }
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    // Time until the bucket is full again
+    resetMs: Math.ceil((policy.burst - tokens) / policy.refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((needed - tokens) / policy.refillPerMs),
+  };
+}
+
+/**
+ * In-process store
+ *
+ * @returns {Object} Store
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+  let takes = 0;
+
+  const prune = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+    async take(key, policy, cost) {
+      const now = Date.now();
+      if (++takes % PRUNE_EVERY === 0) prune(now);
+
+      const result = takeFromBucket(buckets.get(key)?.state, policy, cost, now);
+      buckets.set(key, { state: result.state, fullAt: now + result.resetMs });
+      return result;
+    },
+  };
+}
+
+/**
+ * Shared cache store
+ *
+ * Keeps buckets in the cache driver until they would be full again. Cache
+ * errors are treated as a full bucket by the cache service.
+ *
+ * @returns {Object} Store
+ */
+function createCacheStore() {
+  return {
+    name: 'cache',
+    async take(key, policy, cost) {
+      const cacheKey = `${CACHE_KEY_PREFIX}:${key}`;
+      const result = takeFromBucket(await cacheService.get(cacheKey), policy, cost, Date.now());
+      await cacheService.set(cacheKey, result.state, Math.max(1, Math.ceil(result.resetMs / 1000)));
+      return result;
+    },
+  };
+}
+
+// Store factories by name
+const storeFactories = {
+  memory: createMemoryStore,
+  cache: createCacheStore,
+};
+
+// Active store (created on first use)
+let activeStore = null;
+
+/**
+ * Register a store factory
+ *
+ * A store implements async take(key, policy, cost), returning the result of
+ * takeFromBucket for the stored bucket and saving its new state.
+ *
+ * @param {string} name - Store name used in RATE_LIMIT_STORE
+ * @param {Function} factory - Returns a store
+ */
+function registerRateLimitStoreDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new RateLimitError('Invalid rate limit store driver', 'INVALID_DRIVER');
+  }
+  storeFactories[name] = factory;
+}
+
+/**
+ * Get the configured store, or null if rate limiting is disabled
+ *
+ * @returns {Object|null} Store
+ * @throws {RateLimitError} If RATE_LIMIT_STORE names an unknown store
+ */
+function getRateLimitStore() {
+  const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase().trim();
+  if (name === 'none') return null;
+
+  if (!activeStore || activeStore.configuredAs !== name) {
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new RateLimitError(
+        `Unknown rate limit store: ${name}. Available: ${Object.keys(storeFactories).join(', ')}, none`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    activeStore = { ...factory(), configuredAs: name };
+    console.log(`[RateLimit] Using ${activeStore.name} store`);
+  }
+
+  return activeStore;
+}
+
+/**
+ * Replace the active store (e.g., with an atomic hosted store or for tests)
+ *
+ * @param {Object|null} store - Store instance, or null to reset to the configured one
+ */
+function setRateLimitStore(store) {
+  activeStore = store ? { ...store, configuredAs: (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase().trim() } : null;
+}
+
+/**
+ * Get the client IP of a request
+ *
+ * Uses the first X-Forwarded-For address, which Vercel sets to the
+ * connecting client.
+ *
+ * @param {Object} req - Request
+ * @returns {string} Client IP
+ */
+function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Identify the client a request is counted against
+ *
+ * @param {Object} req - Request (req.apiKey is set for authenticated requests)
+ * @returns {string} Client ID ("key:<id>" or "ip:<address>")
+ */
+function getClientId(req) {
+  if (req.apiKey?.id) {
+    return `key:${req.apiKey.id}`;
+  }
+  return `ip:${getClientIp(req)}`;
+}
+
+/**
+ * Count a request against a policy
+ *
+ * Fails open: if the store errors, the request is allowed.
+ *
+ * @param {Object} req - Request
+ * @param {string} policyName - Policy name (analyze, batch, lookup)
+ * @param {Object} options - { cost } (tokens to take, default 1; 0 checks for a token without taking it)
+ * @returns {Promise<Object|null>} { allowed, tooLarge, cost, limit, remaining, resetSeconds, retryAfterSeconds, policy },
+ *   or null if disabled. tooLarge is set when cost exceeds the burst size, so the request can never be allowed
+ */
+async function checkRateLimit(req, policyName, options = {}) {
+  const policy = getPolicy(policyName);
+  const cost = options.cost ?? 1;
+  const clientId = getClientId(req);
+
+  let result;
+  try {
+    const store = getRateLimitStore();
+    if (!store) return null;
+    result = await store.take(`${policy.name}:${clientId}`, policy, cost);
+  } catch (error) {
+    console.error(`[RateLimit] Store error, allowing request: ${error.message}`);
+    return null;
+  }
+
+  if (!result.allowed) {
+    console.log(`[RateLimit] ${clientId} exceeded ${policy.name} limit (cost ${cost})`);
+  }
+
+  return {
+    allowed: result.allowed,
+    tooLarge: cost > policy.burst,
+    cost,
+    limit: policy.burst,
+    remaining: result.remaining,
+    resetSeconds: Math.ceil(result.resetMs / 1000),
+    retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000)),
+    policy,
+  };
+}
+
+/**
+ * Apply a rate limit policy to a request
+ *
+ * Sets the RateLimit-* headers and, if the client is over its limit,
+ * responds with 429 and Retry-After. A request that costs more than the
+ * burst size gets a 429 without Retry-After, since waiting won't help.
+ *
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} policyName - Policy name (analyze, batch, lookup)
+ * @param {Object} options - { cost } (tokens to take, e.g. one per batch item; default 1).
+ *   A cost of 0 refuses a client with no tokens left without charging it,
+ *   e.g. before reading a large upload
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function applyRateLimit(req, res, policyName, options = {}) {
+  const limit = await checkRateLimit(req, policyName, options);
+  if (!limit) return true;
+
+  const windowSeconds = Math.ceil(limit.limit / limit.policy.refillPerMs / 1000);
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+  res.setHeader('RateLimit-Limit', String(limit.limit));
+  res.setHeader('RateLimit-Remaining', String(limit.remaining));
+  res.setHeader('RateLimit-Reset', String(limit.resetSeconds));
+  res.setHeader('RateLimit-Policy', `${limit.limit};w=${windowSeconds}`);
+
+  if (limit.allowed) return true;
+
+  if (limit.tooLarge) {
+    res.status(429).json({
+      success: false,
+      error: `This request counts as ${limit.cost} requests, more than the limit of ${limit.limit}. Split it into smaller requests`,
+      code: 'RATE_LIMITED',
+      cost: limit.cost,
+    });
+    return false;
+  }
+
+  res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: `Rate limit exceeded. Try again in ${limit.retryAfterSeconds} second(s)`,
+    code: 'RATE_LIMITED',
+    retry_after: limit.retryAfterSeconds,
+  });
+  return false;
+}
+
+module.exports = {
+  RateLimitError,
+  POLICIES,
+  getPolicy,
+  takeFromBucket,
+  registerRateLimitStoreDriver,
+  getRateLimitStore,
+  setRateLimitStore,
+  getClientIp,
+  getClientId,
+  checkRateLimit,
+  applyRateLimit,
+};
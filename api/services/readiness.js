@@ -0,0 +1,335 @@
+/**
+ * Readiness Checks
+ *
+ * Checks the dependencies ScanRx needs to serve requests, for uptime
+ * monitors and load balancers (GET /ready):
+ * - emdex - logs in to EMDEX (getToken), so expired credentials show up
+ * - vision - reaches each provider in the chain and checks its API key
+ * - cache - round trip through the cache driver
+ * - config - required settings are present and driver names are valid
+ *
+ * Each check reports ok, degraded, failed or skipped with its latency. The
+ * overall status is failed if a critical check failed, degraded if anything
+ * else is wrong, and ok otherwise. The cache isn't critical: without it,
+ * requests go straight to EMDEX.
+ *
+ * Callers without an admin key get summarizeReadiness(): the statuses,
+ * latencies, version and mock flags, without settings or error messages.
+ *
+ * Liveness (GET /health) stays separate and doesn't call any dependency.
+ */
+
+const { version } = require('../../package.json');
+const { getToken, getCircuitState, USE_MOCK } = require('./emdex-service');
+const { getProvider, checkVisionProvider } = require('./vision-providers');
+const { getProviderChain } = require('./vision-service');
+const cacheService = require('./cache-service');
+const { getScanStore } = require('./scan-store');
+const { getGtinMappingStore } = require('./gtin-mapping');
+const { getApiKeyStore } = require('./api-keys');
+const { getRateLimitStore } = require('./rate-limiter');
+const { getJobQueue, isQueueUnusable } = require('./job-queue');
+
+// Longest a single check may take
+const DEFAULT_CHECK_TIMEOUT_MS = 5000;
+
+// Check states
+const CHECK_STATUSES = ['ok', 'degraded', 'failed', 'skipped'];
+
+// Checks whose failure makes the service not ready
+const CRITICAL_CHECKS = ['emdex', 'vision', 'config'];
+
+/**
+ * Get the per-check timeout
+ *
+ * @returns {number} READINESS_TIMEOUT_MS or the default
+ */
+function getCheckTimeout() {
+  const configured = parseInt(process.env.READINESS_TIMEOUT_MS, 10);
+  return configured > 0 ? configured : DEFAULT_CHECK_TIMEOUT_MS;
+}
+
+/**
+ * Run a check, timing it and turning errors and timeouts into a failed result
+ *
+ * @param {Function} check - async () => { status, message, details }
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<Object>} { status, latency_ms, message, code, details }
+ */
+async function runCheck(check, timeoutMs) {
+  const startTime = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Check timed out after ${timeoutMs}ms`);
+      error.code = 'TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([check(), timeout]);
+    return {
+      status: result.status || 'ok',
+      latency_ms: Date.now() - startTime,
+      message: result.message || null,
+      details: result.details || null,
+    };
+  } catch (error) {
+    return {
+      status: 'failed',
+      latency_ms: Date.now() - startTime,
+      message: error.message,
+      code: error.code || 'CHECK_FAILED',
+      details: null,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check EMDEX authentication
+ *
+ * Uses the cached token while it's valid, so expired credentials are
+ * reported once the token needs renewing - the same moment requests start
+ * failing.
+ *
+ * @returns {Promise<Object>} Check result
+ */
+async function checkEmdex() {
+  if (USE_MOCK) {
+    return { status: 'skipped', message: 'USE_MOCK_EMDEX is on; EMDEX is not called' };
+  }
+
+  await getToken();
+
+  const circuit = getCircuitState();
+  if (circuit.state !== 'closed') {
+    return {
+      status: 'degraded',
+      message: `Authenticated, but the circuit breaker is ${circuit.state.replace('_', '-')} after ${circuit.consecutive_failures} consecutive failures`,
+      details: { circuit: circuit.state, retry_at: circuit.retry_at, last_error: circuit.last_error },
+    };
+  }
+
+  return { details: { circuit: circuit.state } };
+}
+
+/**
+ * Check the vision providers in the failover chain
+ *
+ * Degraded if only a fallback works, failed if none does.
+ *
+ * @returns {Promise<Object>} Check result
+ */
+async function checkVision() {
+  const timeoutMs = getCheckTimeout();
+  const providers = await Promise.all(getProviderChain().map(async (name) => {
+    const startTime = Date.now();
+    try {
+      const result = await checkVisionProvider(getProvider(name), timeoutMs);
+      return {
+        name,
+        status: result.status >= 500 ? 'degraded' : 'ok',
+        latency_ms: Date.now() - startTime,
+        http_status: result.status,
+        message: result.checked ? null : 'Configuration checked only',
+      };
+    } catch (error) {
+      return { name, status: 'failed', latency_ms: Date.now() - startTime, code: error.code, message: error.message };
+    }
+  }));
+
+  const [primary] = providers;
+  const usable = providers.filter(provider => provider.status !== 'failed');
+
+  if (usable.length === 0) {
+    return { status: 'failed', message: 'No vision provider is reachable', details: { providers } };
+  }
+  if (primary.status !== 'ok') {
+    return { status: 'degraded', message: `Primary provider ${primary.name} is ${primary.status}`, details: { providers } };
+  }
+  if (usable.length < providers.length) {
+    return { status: 'degraded', message: 'A fallback provider is unavailable', details: { providers } };
+  }
+  return { details: { providers } };
+}
+
+/**
+ * Check the cache driver with a round trip
+ *
+ * @returns {Promise<Object>} Check result
+ */
+async function checkCache() {
+  const { driver } = await cacheService.checkHealth();
+  return { details: { driver } };
+}
+
+/**
+ * Check that required settings are present and drivers are known
+ *
+ * Missing settings fail the check; settings that are risky in production
+ * (mock data, stub provider) degrade it.
+ *
+ * @returns {Promise<Object>} Check result
+ */
+async function checkConfig() {
+  const missing = [];
+  const warnings = [];
+
+  for (const name of getProviderChain()) {
+    try {
+      const provider = getProvider(name);
+      if (!provider.isConfigured()) {
+        missing.push(`Vision provider "${name}" has no API key (LLAMA_API_KEY)`);
+      }
+      if (name === 'stub') {
+        warnings.push('LLAMA_PROVIDER is stub; analyze returns canned results');
+      }
+    } catch (error) {
+      missing.push(error.message);
+    }
+  }
+
+  if (USE_MOCK) {
+    warnings.push('USE_MOCK_EMDEX is on; verification uses mock data');
+  } else {
+    for (const name of ['EMDEX_API_URL', 'EMDEX_EMAIL', 'EMDEX_PASSWORD']) {
+      if (!process.env[name]) missing.push(`${name} is not set`);
+    }
+  }
+
+  // Creating each driver validates its name and settings
+  const drivers = {
+    CACHE_STORE: cacheService.getCacheStore,
+    SCAN_STORE: getScanStore,
+    GTIN_MAPPING_STORE: getGtinMappingStore,
+    API_KEY_STORE: getApiKeyStore,
+    RATE_LIMIT_STORE: getRateLimitStore,
+    JOB_QUEUE: getJobQueue,
+  };
+  for (const [setting, getDriver] of Object.entries(drivers)) {
+    try {
+      getDriver();
+    } catch (error) {
+      missing.push(`${setting}: ${error.message}`);
+    }
+  }
+
+  try {
+    if (isQueueUnusable(getJobQueue())) {
+      warnings.push('JOB_QUEUE is local on Vercel; POST /v1/analyze/jobs is disabled');
+    }
+  } catch {
+    // Reported with the other drivers above
+  }
+
+  if ((process.env.API_AUTH || 'required').toLowerCase().trim() === 'optional') {
+    warnings.push('API_AUTH is optional; requests without an API key are allowed');
+  }
+
+  if (missing.length > 0) {
+    return { status: 'failed', message: missing.join('; '), details: { missing, warnings } };
+  }
+  if (warnings.length > 0) {
+    return { status: 'degraded', message: warnings.join('; '), details: { missing, warnings } };
+  }
+  return { details: { missing, warnings } };
+}
+
+// Checks by name
+const CHECKS = {
+  emdex: checkEmdex,
+  vision: checkVision,
+  cache: checkCache,
+  config: checkConfig,
+};
+
+/**
+ * Combine check results into an overall status
+ *
+ * @param {Object} checks - Results by check name
+ * @returns {string} ok, degraded or failed
+ */
+function getOverallStatus(checks) {
+  let status = 'ok';
+  for (const [name, check] of Object.entries(checks)) {
+    if (check.status === 'failed' && CRITICAL_CHECKS.includes(name)) return 'failed';
+    if (check.status === 'failed' || check.status === 'degraded') status = 'degraded';
+  }
+  return status;
+}
+
+/**
+ * Run all readiness checks in parallel
+ *
+ * @returns {Promise<Object>} { status, timestamp, service, build, mock, duration_ms, checks }
+ */
+async function checkReadiness() {
+  const startTime = Date.now();
+  const timeoutMs = getCheckTimeout();
+
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(CHECKS[name], timeoutMs)));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const status = getOverallStatus(checks);
+  if (status !== 'ok') {
+    const problems = names.filter(name => checks[name].status === 'failed' || checks[name].status === 'degraded');
+    console.warn(`[Ready] ${status}: ${problems.map(name => `${name} ${checks[name].status}`).join(', ')}`);
+  }
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    service: 'scanrx-backend',
+    build: {
+      version,
+      commit: process.env.VERCEL_GIT_COMMIT_SHA || process.env.GIT_COMMIT || null,
+      environment: process.env.VERCEL_ENV || process.env.NODE_ENV || null,
+    },
+    mock: {
+      emdex: USE_MOCK,
+      vision: getProviderChain()[0] === 'stub',
+    },
+    duration_ms: Date.now() - startTime,
+    checks,
+  };
+}
+
+/**
+ * Public view of a readiness report
+ *
+ * Keeps each check's status and latency, the version and the mock flags, so
+ * a monitor can still tell a deployment runs on mock data. Drops messages,
+ * error codes, details (missing settings, provider responses, the circuit's
+ * last error), the commit and the environment.
+ *
+ * @param {Object} readiness - Result of checkReadiness
+ * @returns {Object} { status, timestamp, service, build: { version }, mock, duration_ms, checks }
+ */
+function summarizeReadiness(readiness) {
+  const checks = {};
+  for (const [name, check] of Object.entries(readiness.checks)) {
+    checks[name] = { status: check.status, latency_ms: check.latency_ms };
+  }
+
+  return {
+    status: readiness.status,
+    timestamp: readiness.timestamp,
+    service: readiness.service,
+    build: { version: readiness.build.version },
+    mock: readiness.mock,
+    duration_ms: readiness.duration_ms,
+    checks,
+  };
+}
+
+module.exports = {
+  CHECK_STATUSES,
+  CRITICAL_CHECKS,
+  checkReadiness,
+  summarizeReadiness,
+  getOverallStatus,
+};
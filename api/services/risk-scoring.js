@@ -0,0 +1,249 @@
+/**
+ * Counterfeit Risk Scoring
+ *
+ * Combines what the vision model read off the pack with the EMDEX registry
+ * record to grade how likely a product is to be counterfeit or mislabeled.
+ *
+ * Each finding adds weight to the score and a human-readable reason.
+ * The total maps to a risk level:
+ * - low (0-14), medium (15-34), high (35-59), critical (60+)
+ * - unknown when the pack couldn't be identified or EMDEX was unavailable
+ */
+
+const {
+  brandNamesAgree,
+  manufacturersAgree,
+  strengthsAgree,
+  dosageFormsAgree,
+  countriesAgree,
+} = require('./verification-service');
+const { compareNafdacNumbers } = require('./nafdac-number');
+
+// Date warnings that suggest the printed dates were altered or faked
+const DATE_INCONSISTENCIES = ['MANUFACTURED_AFTER_EXPIRY', 'MANUFACTURED_IN_FUTURE', 'SHELF_LIFE_TOO_LONG'];
+
+const RISK_LEVELS = [
+  { level: 'critical', min: 60 },
+  { level: 'high', min: 35 },
+  { level: 'medium', min: 15 },
+  { level: 'low', min: 0 },
+];
+
+// Words in the model's verification notes that suggest tampering or a fake
+const CONCERN_PATTERN = /counterfeit|fake|fraud|tamper|suspicious|misspel|spelling|inconsistent|altered|relabel|sticker|over-?print|smudge|blurr?ed print|poor print|faded|mismatch|does not match|not match/i;
+
+// Registry fields compared against the pack, with the weight of a mismatch
+const FIELD_CHECKS = [
+  { field: 'manufacturer', registryField: 'manufacturer', agrees: manufacturersAgree, weight: 25, label: 'Manufacturer' },
+  { field: 'strength', registryField: 'strength', agrees: strengthsAgree, weight: 20, label: 'Strength' },
+  { field: 'dosage_form', registryField: 'dosage_form', agrees: dosageFormsAgree, weight: 15, label: 'Dosage form' },
+  { field: 'country_of_origin', registryField: 'manufacturer_country', agrees: countriesAgree, weight: 10, label: 'Country of origin' },
+];
+
+/**
+ * Get a field from a registry record, falling back to the raw EMDEX data
+ *
+ * @param {Object} record - Transformed EMDEX record
+ * @param {string} field - Field name
+ * @returns {*} Field value or null
+ */
+function getRegistryValue(record, field) {
+  if (!record) return null;
+  if (record[field]) return record[field];
+  if (field === 'manufacturer_country') {
+    return record.raw_data?.manufacturer_country || record.raw_data?.country || null;
+  }
+  return record.raw_data?.[field] || null;
+}
+
+/**
+ * Map a score to a risk level
+ *
+ * @param {number} score - Total risk score
+ * @returns {string} Risk level
+ */
+function scoreToLevel(score) {
+  return RISK_LEVELS.find(entry => score >= entry.min).level;
+}
+
+/**
+ * Assess counterfeit risk for an analyzed pack
+ *
+ * @param {Object} analysis - Validated analysis result
+ * @param {Object} verification - Result from verifyAnalysis
+ * @param {Object} options - { conflicts: multi-image conflicts, dates: result of checkPackDates,
+ *   barcode: barcode summary from applyBarcodeData }
+ * @returns {Object} { level, score, reasons, checks }
+ */
+function assessRisk(analysis, verification, options = {}) {
+  const reasons = [];
+  const checks = {};
+
+  const addReason = (code, weight, message) => {
+    reasons.push({ code, weight, message });
+  };
+
+  if (!analysis || analysis.identified === false) {
+    return {
+      level: 'unknown',
+      score: null,
+      reasons: [{ code: 'NOT_IDENTIFIED', weight: 0, message: 'The medication could not be identified from the image' }],
+      checks,
+    };
+  }
+
+  const record = verification?.emdex_drug || null;
+  const brandMatch = verification?.brand_match || null;
+
+  // NAFDAC number
+  if (!analysis.nafdac_number) {
+    checks.nafdac_number = 'missing';
+    addReason('NAFDAC_MISSING', 25, 'No NAFDAC registration number was visible on the pack');
+  } else if (verification?.nafdac && !verification.nafdac.valid) {
+    checks.nafdac_number = 'invalid';
+    addReason('NAFDAC_INVALID_FORMAT', 20,
+      `NAFDAC number "${analysis.nafdac_number}" does not follow the registration format`);
+  }
+
+  if (verification?.status === 'unavailable') {
+    addReason('VERIFICATION_UNAVAILABLE', 0, 'The registry could not be reached, so the pack was not checked');
+    return { level: 'unknown', score: null, reasons, checks };
+  }
+
+  if (analysis.nafdac_number && verification?.match_method !== 'nafdac') {
+    checks.nafdac_number = checks.nafdac_number || 'not_registered';
+    // The product as identified by its brand name or barcode
+    const identified = brandMatch || (verification?.match_method === 'gtin' ? record : null);
+    if (identified && identified.nafdac_number &&
+        !compareNafdacNumbers(identified.nafdac_number, analysis.nafdac_number)) {
+      // Real product, but the number on the pack isn't the registered one
+      checks.nafdac_number = 'mismatch';
+      addReason('NAFDAC_MISMATCH', 60,
+        `${identified.brand_name} is registered as ${identified.nafdac_number}, but the pack shows ${analysis.nafdac_number}`);
+    } else {
+      addReason('NAFDAC_NOT_REGISTERED', 40,
+        `NAFDAC number ${analysis.nafdac_number} was not found in the registry`);
+    }
+  } else if (verification?.match_method === 'nafdac') {
+    checks.nafdac_number = 'match';
+    if (verification.nafdac?.match_type && verification.nafdac.match_type !== 'exact') {
+      addReason('NAFDAC_OCR_CORRECTED', 5,
+        `NAFDAC number only matched after correcting likely misreadings (${verification.nafdac.matched_query})`);
+    }
+  }
+
+  // Brand name against the registered number's record
+  if (record && verification.match_method === 'nafdac' && analysis.brand_name) {
+    if (brandNamesAgree(analysis.brand_name, record.brand_name)) {
+      checks.brand_name = 'match';
+    } else {
+      checks.brand_name = 'mismatch';
+      checks.nafdac_number = 'other_product';
+      addReason('BRAND_MISMATCH', 60,
+        `NAFDAC number ${record.nafdac_number} is registered to ${record.brand_name}, not ${analysis.brand_name}`);
+    }
+  }
+
+  // Barcode mapped to a different product than the registered number
+  if (verification?.gtin?.agrees === false) {
+    checks.gtin = 'mismatch';
+    addReason('GTIN_MISMATCH', 40,
+      `The barcode belongs to ${verification.gtin.brand_name}, but NAFDAC number ${record.nafdac_number} is registered to ${record.brand_name}`);
+  } else if (verification?.gtin?.agrees === true) {
+    checks.gtin = 'match';
+  }
+
+  // Other registry fields (against the registered record, or the brand record)
+  const compareTo = checks.brand_name === 'mismatch' ? brandMatch : record;
+  if (compareTo) {
+    for (const check of FIELD_CHECKS) {
+      const packValue = analysis[check.field];
+      const registryValue = getRegistryValue(compareTo, check.registryField);
+
+      if (!packValue || !registryValue) {
+        checks[check.field] = 'unchecked';
+        continue;
+      }
+
+      if (check.agrees(packValue, registryValue)) {
+        checks[check.field] = 'match';
+      } else {
+        checks[check.field] = 'mismatch';
+        addReason(`${check.field.toUpperCase()}_MISMATCH`, check.weight,
+          `${check.label} on the pack (${packValue}) differs from the registry (${registryValue})`);
+      }
+    }
+  } else if (!record && !brandMatch && !analysis.nafdac_number) {
+    addReason('NOT_IN_REGISTRY', 15, 'No matching product was found in the registry');
+  }
+
+  // Multi-image disagreements
+  for (const conflict of options.conflicts || []) {
+    if (conflict.field === 'nafdac_number') {
+      addReason('CONFLICTING_NAFDAC', 30,
+        `Different NAFDAC numbers appear on the pack: ${conflict.values.map(v => v.value).join(', ')}`);
+    } else if (conflict.field === 'batch_number' || conflict.field === 'expiry_date') {
+      addReason('CONFLICTING_PRINT', 15,
+        `Different ${conflict.field.replace('_', ' ')} values appear on the pack`);
+    }
+  }
+
+  // Barcode data that contradicts the printed text
+  const barcodeMismatches = options.barcode?.mismatches || [];
+  if (barcodeMismatches.length > 0) {
+    checks.barcode = 'mismatch';
+    const fields = barcodeMismatches.map(mismatch => mismatch.field.replace('_', ' '));
+    addReason('BARCODE_MISMATCH', 30,
+      `The barcode's ${fields.join(', ')} ${fields.length > 1 ? 'differ' : 'differs'} from the printed text`);
+  } else if (options.barcode?.detected) {
+    checks.barcode = 'match';
+  }
+
+  // Impossible expiry/manufacturing dates
+  const dateWarnings = (options.dates?.warnings || [])
+    .filter(warning => DATE_INCONSISTENCIES.includes(warning.code));
+  if (dateWarnings.length > 0) {
+    checks.dates = 'inconsistent';
+    addReason('DATES_INCONSISTENT', 30, dateWarnings[0].message);
+  } else if (options.dates?.expiry) {
+    checks.dates = 'consistent';
+  }
+
+  // Model's own concerns
+  if (analysis.verification_notes) {
+    if (CONCERN_PATTERN.test(analysis.verification_notes)) {
+      addReason('MODEL_CONCERN', 15, `Image analysis noted: ${analysis.verification_notes}`);
+    } else {
+      addReason('MODEL_NOTE', 0, `Image analysis noted: ${analysis.verification_notes}`);
+    }
+  }
+
+  // Evidence quality
+  if (analysis.image_quality === 'poor') {
+    addReason('IMAGE_QUALITY_POOR', 10, 'Image quality is poor; some details may have been misread');
+  } else if (analysis.image_quality === 'fair') {
+    addReason('IMAGE_QUALITY_FAIR', 3, 'Image quality is fair; consider retaking the photo');
+  }
+
+  if (typeof analysis.confidence === 'number' && analysis.confidence < 0.5) {
+    addReason('LOW_CONFIDENCE', 10, `Low identification confidence (${Math.round(analysis.confidence * 100)}%)`);
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.weight, 0);
+
+  // Strongest reasons first
+  reasons.sort((a, b) => b.weight - a.weight);
+
+  return {
+    level: scoreToLevel(score),
+    score,
+    reasons,
+    checks,
+  };
+}
+
+module.exports = {
+  assessRisk,
+  scoreToLevel,
+  RISK_LEVELS,
+};
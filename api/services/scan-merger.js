@@ -0,0 +1,145 @@
+/**
+ * Scan Merger
+ *
+ * Merges analysis results from several photos of the same pack (front, back,
+ * sides) into a single result with per-field provenance.
+ *
+ * - Scalar fields take the value from the most confident image that has one
+ * - List fields are combined across images
+ * - Disagreements on identifying fields (e.g., two NAFDAC numbers) are flagged
+ */
+
+const { ANALYSIS_SCHEMA } = require('./analysis-schema');
+const { normalizeNafdacNumber } = require('./nafdac-number');
+const { parsePackDate } = require('./pack-dates');
+
+// Fields where different values across images indicate a problem
+const CONFLICT_FIELDS = [
+  'brand_name',
+  'generic_name',
+  'nafdac_number',
+  'manufacturer',
+  'strength',
+  'dosage_form',
+  'batch_number',
+  'expiry_date',
+  'manufacturing_date',
+];
+
+// Image quality from worst to best
+const QUALITY_ORDER = ['poor', 'fair', 'good'];
+
+/**
+ * Normalize a value for comparison across images
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Comparable value
+ */
+function normalizeForComparison(field, value) {
+  if (field === 'nafdac_number') {
+    const normalized = normalizeNafdacNumber(value);
+    if (normalized) return normalized;
+  }
+  if (field === 'expiry_date' || field === 'manufacturing_date') {
+    // "EXP 03/26" and "MAR 2026" are the same date
+    const parsed = parsePackDate(value);
+    if (parsed) return parsed.date;
+  }
+  return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Merge per-image analysis results
+ *
+ * @param {Array<Object>} items - [{ index, analysis }] in upload order
+ * @returns {Object} { analysis, provenance, conflicts }
+ */
+function mergeAnalyses(items) {
+  const valid = items.filter(item => item.analysis);
+
+  // Most confident first, then upload order
+  const ranked = [...valid].sort((a, b) => {
+    const diff = (b.analysis.confidence ?? 0) - (a.analysis.confidence ?? 0);
+    return diff !== 0 ? diff : a.index - b.index;
+  });
+
+  const analysis = {};
+  const provenance = {};
+  const conflicts = [];
+
+  for (const [field, definition] of Object.entries(ANALYSIS_SCHEMA)) {
+    const candidates = ranked
+      .filter(item => item.analysis[field] !== null && item.analysis[field] !== undefined)
+      .map(item => ({ index: item.index, value: item.analysis[field] }));
+
+    if (candidates.length === 0) {
+      analysis[field] = null;
+      continue;
+    }
+
+    if (definition.type === 'string[]') {
+      const seen = new Map();
+      const sources = new Set();
+      for (const candidate of candidates) {
+        for (const entry of candidate.value) {
+          const key = entry.toLowerCase();
+          if (!seen.has(key)) seen.set(key, entry);
+          sources.add(candidate.index);
+        }
+      }
+      analysis[field] = Array.from(seen.values());
+      provenance[field] = { images: Array.from(sources).sort((a, b) => a - b) };
+      continue;
+    }
+
+    if (field === 'identified' || field === 'prescription_required') {
+      // True if any image shows it
+      const positive = candidates.filter(candidate => candidate.value === true);
+      const chosen = positive.length > 0 ? positive : candidates;
+      analysis[field] = chosen[0].value;
+      provenance[field] = { images: chosen.map(candidate => candidate.index).sort((a, b) => a - b) };
+      continue;
+    }
+
+    if (field === 'image_quality') {
+      // Report the worst quality so the client can ask for a better photo
+      const worst = [...candidates].sort(
+        (a, b) => QUALITY_ORDER.indexOf(a.value) - QUALITY_ORDER.indexOf(b.value)
+      )[0];
+      analysis[field] = worst.value;
+      provenance[field] = { image: worst.index };
+      continue;
+    }
+
+    // Scalar: most confident image wins
+    analysis[field] = candidates[0].value;
+    provenance[field] = { image: candidates[0].index };
+
+    if (CONFLICT_FIELDS.includes(field)) {
+      const groups = new Map();
+      for (const candidate of candidates) {
+        const key = normalizeForComparison(field, candidate.value);
+        if (!groups.has(key)) {
+          groups.set(key, { value: candidate.value, images: [] });
+        }
+        groups.get(key).images.push(candidate.index);
+      }
+
+      if (groups.size > 1) {
+        conflicts.push({
+          field,
+          selected: candidates[0].value,
+          values: Array.from(groups.values()),
+        });
+      }
+    }
+  }
+
+  return { analysis, provenance, conflicts };
+}
+
+module.exports = {
+  mergeAnalyses,
+  CONFLICT_FIELDS,
+};
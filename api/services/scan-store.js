@@ -0,0 +1,354 @@
+/**
+ * Scan History Store
+ *
+ * Persists every analyze result so pharmacists have an audit trail of the
+ * packs they checked.
+ *
+ * Storage goes through a driver with the same interface for every backend:
+ * - file - JSON lines file (default, SCAN_STORE_PATH; required outside local runs)
+ * - memory - in-process only, lost on cold starts (tests, serverless previews)
+ * - none - history disabled
+ *
+ * Each scan records the API key that made it. Keys see only their own scans;
+ * admin keys see all of them (getScanOwnerFilter).
+ *
+ * Hosted stores (Postgres, KV, ...) plug in with registerScanStoreDriver().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorePath } = require('./store-path');
+const { normalizeNafdacNumber } = require('./nafdac-number');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Verification statuses a scan can be filtered by
+const SCAN_STATUSES = ['verified', 'mismatch', 'brand_only', 'not_found', 'skipped', 'unavailable'];
+
+/**
+ * Custom error class for scan store errors
+ */
+class ScanStoreError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'ScanStoreError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Check whether a scan matches list filters
+ *
+ * @param {Object} scan - Scan record
+ * @param {Object} filters - { api_key_id, from, to, status, nafdac_number }
+ * @returns {boolean} True if the scan matches
+ */
+function matchesFilters(scan, filters) {
+  if (filters.api_key_id !== undefined && (scan.api_key_id || null) !== filters.api_key_id) return false;
+  if (filters.from && scan.created_at < filters.from) return false;
+  if (filters.to && scan.created_at > filters.to) return false;
+  if (filters.status && scan.verification.status !== filters.status) return false;
+  if (filters.nafdac_number) {
+    const numbers = [scan.fields.nafdac_number_normalized, scan.verification.nafdac_number];
+    if (!numbers.includes(filters.nafdac_number)) return false;
+  }
+  return true;
+}
+
+/**
+ * Filter, sort (newest first) and page scan records
+ *
+ * @param {Array<Object>} scans - Scan records
+ * @param {Object} filters - { api_key_id, from, to, status, nafdac_number, limit, offset }
+ * @returns {Object} { scans, total }
+ */
+function queryScans(scans, filters) {
+  const matching = scans
+    .filter(scan => matchesFilters(scan, filters))
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+
+  return {
+    scans: matching.slice(filters.offset, filters.offset + filters.limit),
+    total: matching.length,
+  };
+}
+
+/**
+ * In-memory driver
+ *
+ * @returns {Object} Driver
+ */
+function createMemoryDriver() {
+  const scans = new Map();
+
+  return {
+    name: 'memory',
+    async save(scan) {
+      scans.set(scan.id, scan);
+    },
+    async get(id) {
+      return scans.get(id) || null;
+    },
+    async list(filters) {
+      return queryScans(Array.from(scans.values()), filters);
+    },
+  };
+}
+
+/**
+ * JSON lines file driver
+ *
+ * Appends one scan per line. Reads scan the whole file, which is fine for a
+ * single pharmacy's history; use a hosted driver for anything larger.
+ *
+ * @param {string} filePath - File to store scans in
+ * @returns {Object} Driver
+ * @throws {ScanStoreError} PATH_REQUIRED if SCAN_STORE_PATH isn't set outside local runs
+ */
+function createFileDriver(filePath = getStorePath('SCAN_STORE_PATH', 'scanrx-scans.jsonl')) {
+  if (!filePath) {
+    throw new ScanStoreError(
+      `SCAN_STORE_PATH is not set. Point it at persistent storage or choose a hosted SCAN_STORE driver`,
+      'PATH_REQUIRED'
+    );
+  }
+
+  const readAll = async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new ScanStoreError(`Failed to read scan history: ${error.message}`, 'READ_FAILED', error);
+    }
+
+    const scans = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        scans.push(JSON.parse(line));
+      } catch {
+        // Skip a line left half-written by a crash
+        console.warn('[ScanStore] Skipping unreadable line in scan history');
+      }
+    }
+    return scans;
+  };
+
+  return {
+    name: 'file',
+    path: filePath,
+    async save(scan) {
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, JSON.stringify(scan) + '\n', 'utf8');
+      } catch (error) {
+        throw new ScanStoreError(`Failed to write scan history: ${error.message}`, 'WRITE_FAILED', error);
+      }
+    },
+    async get(id) {
+      const scans = await readAll();
+      return scans.find(scan => scan.id === id) || null;
+    },
+    async list(filters) {
+      return queryScans(await readAll(), filters);
+    },
+  };
+}
+
+// Driver factories by name
+const driverFactories = {
+  file: createFileDriver,
+  memory: createMemoryDriver,
+};
+
+// Active driver (created on first use)
+let activeDriver = null;
+
+/**
+ * Register a storage driver factory
+ *
+ * A driver implements: async save(scan), async get(id) and
+ * async list({ api_key_id, from, to, status, nafdac_number, limit, offset }) -> { scans, total }.
+ * An api_key_id filter of null matches scans made without a key.
+ *
+ * @param {string} name - Driver name used in SCAN_STORE
+ * @param {Function} factory - Returns a driver
+ */
+function registerScanStoreDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new ScanStoreError('Invalid scan store driver', 'INVALID_DRIVER');
+  }
+  driverFactories[name] = factory;
+}
+
+/**
+ * Get the configured driver, or null if history is disabled
+ *
+ * @returns {Object|null} Driver
+ * @throws {ScanStoreError} If SCAN_STORE names an unknown driver
+ */
+function getScanStore() {
+  const name = (process.env.SCAN_STORE || 'file').toLowerCase().trim();
+  if (name === 'none') return null;
+
+  if (!activeDriver || activeDriver.configuredAs !== name) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new ScanStoreError(
+        `Unknown scan store: ${name}. Available: ${Object.keys(driverFactories).join(', ')}, none`,
+        'UNKNOWN_DRIVER'
+      );
+    }
+    activeDriver = { ...factory(), configuredAs: name };
+    console.log(`[ScanStore] Using ${activeDriver.name} driver`);
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Replace the active driver (e.g., with a hosted store or for tests)
+ *
+ * @param {Object|null} driver - Driver instance, or null to reset to the configured one
+ */
+function setScanStore(driver) {
+  activeDriver = driver ? { ...driver, configuredAs: (process.env.SCAN_STORE || 'file').toLowerCase().trim() } : null;
+}
+
+/**
+ * Hash image data for the audit trail
+ *
+ * @param {Buffer} buffer - Image data
+ * @returns {string} SHA-256 hex digest
+ */
+function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Build a scan record from an analyze response
+ *
+ * @param {Object} result - Response from buildAnalysisResponse
+ * @param {Object} options - { api_key_id } of the client that made the scan
+ * @returns {Object} Scan record
+ */
+function buildScanRecord(result, options = {}) {
+  const analysis = result.analysis || {};
+  const verification = result.verification || {};
+  const images = result.scan?.images || [];
+
+  // Registry numbers are stored in the same "A4-0451" form as the filter, so
+  // a record written as "A4 0451" still matches
+  const registryNafdac = verification.emdex_drug?.nafdac_number || null;
+
+  return {
+    id: `scan_${crypto.randomUUID()}`,
+    created_at: new Date().toISOString(),
+    api_key_id: options.api_key_id || null,
+    fields: {
+      ...analysis,
+      nafdac_number_normalized: verification.nafdac?.normalized || null,
+    },
+    verification: {
+      status: verification.status || null,
+      verified: verification.verified === true,
+      match_method: verification.match_method || null,
+      drug_id: verification.emdex_drug?.id || null,
+      brand_name: verification.emdex_drug?.brand_name || null,
+      nafdac_number: normalizeNafdacNumber(registryNafdac) || registryNafdac,
+    },
+    risk: result.risk ? { level: result.risk.level, score: result.risk.score } : null,
+    dates: result.dates ? { status: result.dates.status } : null,
+    barcode: result.barcode?.detected
+      ? { gtin: result.barcode.gtin, sources: result.barcode.sources, mismatches: result.barcode.mismatches.length }
+      : null,
+    cached: result.cached === true,
+    provider: result.inference?.provider || null,
+    model: result.inference?.model || null,
+    image_hash: images[0]?.sha256 || null,
+    image_hashes: images.map(image => image.sha256),
+    image_count: images.length,
+  };
+}
+
+/**
+ * Persist an analyze result
+ *
+ * @param {Object} result - Response from buildAnalysisResponse
+ * @param {Object} options - { api_key_id } of the client that made the scan
+ * @returns {Promise<Object|null>} Saved record, or null if history is disabled
+ * @throws {ScanStoreError} If the driver fails
+ */
+async function saveScan(result, options = {}) {
+  const store = getScanStore();
+  if (!store) return null;
+
+  const record = buildScanRecord(result, options);
+  await store.save(record);
+  return record;
+}
+
+/**
+ * Get the history filter for a client
+ *
+ * @param {Object|null} apiKey - req.apiKey (null for an anonymous request)
+ * @returns {Object} {} for admin keys (every scan), otherwise { api_key_id }
+ */
+function getScanOwnerFilter(apiKey) {
+  if (apiKey?.scopes.includes('admin')) return {};
+  return { api_key_id: apiKey?.id || null };
+}
+
+/**
+ * Fetch a single scan
+ *
+ * @param {string} id - Scan ID
+ * @param {Object} filters - { api_key_id } to only return the client's own scan
+ * @returns {Promise<Object|null>} Scan record, or null if missing or someone else's
+ */
+async function getScan(id, filters = {}) {
+  const store = getScanStore();
+  const scan = store ? await store.get(id) : null;
+  if (!scan) return null;
+
+  if (filters.api_key_id !== undefined && (scan.api_key_id || null) !== filters.api_key_id) {
+    return null;
+  }
+  return scan;
+}
+
+/**
+ * List scans, newest first
+ *
+ * @param {Object} filters - { api_key_id, from, to, status, nafdac_number, limit, offset }
+ * @returns {Promise<Object>} { scans, total, limit, offset }
+ */
+async function listScans(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const store = getScanStore();
+  if (!store) return { scans: [], total: 0, limit, offset };
+
+  const result = await store.list({ ...filters, limit, offset });
+  return { ...result, limit, offset };
+}
+
+module.exports = {
+  ScanStoreError,
+  SCAN_STATUSES,
+  registerScanStoreDriver,
+  getScanStore,
+  setScanStore,
+  hashImage,
+  buildScanRecord,
+  saveScan,
+  getScanOwnerFilter,
+  getScan,
+  listScans,
+  queryScans,
+};
@@ -0,0 +1,256 @@
+/**
+ * Scan Upload Parsing
+ *
+ * Parses and validates the multipart upload shared by every analyze entry
+ * point: the photos ('image' for one, 'images' for several) and the scan mode.
+ * Batch uploads ('images' and/or a ZIP 'archive') are parsed separately since
+ * they allow many more files and a larger archive. Their total size is capped
+ * at BATCH_MAX_UPLOAD_MB, since every file is held in memory.
+ */
+
+const multer = require('multer');
+const { MAX_SCAN_IMAGES, SCAN_MODES } = require('./analysis-pipeline');
+
+// Largest accepted photo
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Largest accepted ZIP archive for batch uploads
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024; // 50MB
+
+// Most images (or archive entries) in one batch
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+
+// Largest accepted batch request (all photos and the archive together)
+const BATCH_MAX_UPLOAD_SIZE = (parseInt(process.env.BATCH_MAX_UPLOAD_MB, 10) || 100) * 1024 * 1024;
+
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_SCAN_IMAGES,
+  },
+});
+
+/**
+ * Custom error class for invalid uploads
+ */
+class ScanUploadError extends Error {
+  constructor(message, code = 'INVALID_REQUEST', status = 400) {
+    super(message);
+    this.name = 'ScanUploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Format a byte count as whole megabytes for error messages
+ *
+ * @param {number} bytes - Size
+ * @returns {string} e.g. "10MB"
+ */
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+/**
+ * Multer storage for one batch request
+ *
+ * Keeps files in memory like memoryStorage, but:
+ * - photos over MAX_FILE_SIZE are read and discarded, so they are reported as
+ *   failed items without being held in memory (only the archive may be up to
+ *   MAX_ARCHIVE_SIZE)
+ * - the upload fails with LIMIT_REQUEST_SIZE once all files together pass
+ *   BATCH_MAX_UPLOAD_SIZE
+ *
+ * @returns {Object} Multer storage engine
+ */
+function createBatchStorage() {
+  let totalBytes = 0;
+
+  return {
+    _handleFile(req, file, cb) {
+      const maxSize = file.fieldname === 'archive' ? MAX_ARCHIVE_SIZE : MAX_FILE_SIZE;
+      const chunks = [];
+      let size = 0;
+      let failed = false;
+
+      file.stream.on('data', (chunk) => {
+        if (failed) return;
+        size += chunk.length;
+        totalBytes += chunk.length;
+
+        if (totalBytes > BATCH_MAX_UPLOAD_SIZE) {
+          failed = true;
+          chunks.length = 0;
+          file.stream.resume();
+          cb(new ScanUploadError(
+            `Upload too large. Maximum ${formatMegabytes(BATCH_MAX_UPLOAD_SIZE)} per batch`,
+            'LIMIT_REQUEST_SIZE',
+            413
+          ));
+          return;
+        }
+
+        if (size <= maxSize) {
+          chunks.push(chunk);
+        } else {
+          chunks.length = 0;
+        }
+      });
+      file.stream.on('error', (error) => {
+        if (failed) return;
+        failed = true;
+        cb(error);
+      });
+      file.stream.on('end', () => {
+        if (failed) return;
+        cb(null, { buffer: size <= maxSize ? Buffer.concat(chunks) : null, size });
+      });
+    },
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    },
+  };
+}
+
+// Promisify multer middleware
+const runMiddleware = (req, res, fn) => {
+  return new Promise((resolve, reject) => {
+    fn(req, res, (result) => {
+      if (result instanceof Error) {
+        return reject(result);
+      }
+      return resolve(result);
+    });
+  });
+};
+
+/**
+ * Parse the photos and options of an analyze request
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @returns {Promise<Object>} { files, mode, body }
+ * @throws {ScanUploadError} If the upload is missing, too large or has an invalid mode
+ */
+async function parseScanUpload(req, res) {
+  try {
+    await runMiddleware(req, res, upload.fields([
+      { name: 'image', maxCount: MAX_SCAN_IMAGES },
+      { name: 'images', maxCount: MAX_SCAN_IMAGES },
+    ]));
+  } catch (uploadError) {
+    if (uploadError instanceof multer.MulterError) {
+      const message = uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Too many images. Maximum ${MAX_SCAN_IMAGES} images per scan`
+        : uploadError.message;
+      throw new ScanUploadError(message, uploadError.code);
+    }
+    throw uploadError;
+  }
+
+  const files = [
+    ...(req.files?.image || []),
+    ...(req.files?.images || []),
+  ];
+
+  // Check if image was uploaded
+  if (files.length === 0) {
+    throw new ScanUploadError('No image provided');
+  }
+
+  if (files.length > MAX_SCAN_IMAGES) {
+    throw new ScanUploadError(`Too many images. Maximum ${MAX_SCAN_IMAGES} images per scan`);
+  }
+
+  // Validate mode (how multiple images are sent to the model). A repeated
+  // form field arrives as an array
+  const rawMode = req.body?.mode || 'separate';
+  if (typeof rawMode !== 'string') {
+    throw new ScanUploadError('Invalid mode. Send a single mode field');
+  }
+
+  const mode = rawMode.toLowerCase();
+  if (!SCAN_MODES.includes(mode)) {
+    throw new ScanUploadError(`Invalid mode. Must be one of: ${SCAN_MODES.join(', ')}`);
+  }
+
+  return { files, mode, body: req.body || {} };
+}
+
+/**
+ * Parse the photos and archive of a batch request
+ *
+ * Photos over MAX_FILE_SIZE are returned without their data (buffer is null)
+ * so the batch can report them as failed items instead of rejecting the whole
+ * upload.
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @returns {Promise<Object>} { files, archive, body }
+ * @throws {ScanUploadError} If nothing was uploaded, or there are too many or too large files
+ */
+async function parseBatchUpload(req, res) {
+  // Refuse a declared oversized body before reading any of it
+  const declaredSize = parseInt(req.headers?.['content-length'], 10);
+  if (declaredSize > BATCH_MAX_UPLOAD_SIZE) {
+    throw new ScanUploadError(
+      `Upload too large. Maximum ${formatMegabytes(BATCH_MAX_UPLOAD_SIZE)} per batch`,
+      'LIMIT_REQUEST_SIZE',
+      413
+    );
+  }
+
+  const batchUpload = multer({
+    storage: createBatchStorage(),
+    limits: {
+      fileSize: MAX_ARCHIVE_SIZE,
+      files: BATCH_MAX_ITEMS + 1,
+    },
+  });
+
+  try {
+    await runMiddleware(req, res, batchUpload.fields([
+      { name: 'image', maxCount: BATCH_MAX_ITEMS },
+      { name: 'images', maxCount: BATCH_MAX_ITEMS },
+      { name: 'archive', maxCount: 1 },
+    ]));
+  } catch (uploadError) {
+    if (uploadError instanceof multer.MulterError) {
+      const message = uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Too many files. Maximum ${BATCH_MAX_ITEMS} images per batch`
+        : uploadError.message;
+      throw new ScanUploadError(message, uploadError.code);
+    }
+    throw uploadError;
+  }
+
+  const files = [
+    ...(req.files?.image || []),
+    ...(req.files?.images || []),
+  ];
+  const archive = req.files?.archive?.[0] || null;
+
+  if (files.length === 0 && !archive) {
+    throw new ScanUploadError('No images or archive provided');
+  }
+
+  if (files.length > BATCH_MAX_ITEMS) {
+    throw new ScanUploadError(`Too many images. Maximum ${BATCH_MAX_ITEMS} images per batch`);
+  }
+
+  return { files, archive, body: req.body || {} };
+}
+
+module.exports = {
+  ScanUploadError,
+  MAX_FILE_SIZE,
+  MAX_ARCHIVE_SIZE,
+  BATCH_MAX_ITEMS,
+  BATCH_MAX_UPLOAD_SIZE,
+  parseScanUpload,
+  parseBatchUpload,
+};
@@ -0,0 +1,42 @@
+/**
+ * Store Paths
+ *
+ * Default locations for the file-backed stores (scan history, GTIN mappings,
+ * API keys).
+ *
+ * Locally the files default to the OS temp directory, so the API runs with
+ * no setup. Anywhere else (on Vercel, or with NODE_ENV=production) the temp
+ * directory is wiped when an instance is recycled, and every instance has
+ * its own, so there is no default: the path must be set, or a hosted driver
+ * chosen. The file drivers refuse to start without one, which also fails the
+ * config readiness check.
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Check whether the API runs on a developer machine
+ *
+ * @returns {boolean} False on Vercel or with NODE_ENV=production
+ */
+function isLocalRun() {
+  return !process.env.VERCEL && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Get the path a file store should use
+ *
+ * @param {string} setting - Environment variable holding the path
+ * @param {string} filename - File name in the temp directory for local runs
+ * @returns {string|null} Configured path, the local default, or null if the path must be set
+ */
+function getStorePath(setting, filename) {
+  if (process.env[setting]) return process.env[setting];
+  return isLocalRun() ? path.join(os.tmpdir(), filename) : null;
+}
+
+module.exports = {
+  isLocalRun,
+  getStorePath,
+};
@@ -0,0 +1,334 @@
+/**
+ * Verification Service
+ *
+ * Looks up NAFDAC registration numbers in EMDEX and compares the registry
+ * record against what the user (or the vision model) reported.
+ *
+ * Verdicts:
+ * - verified: the number is registered and every provided field agrees
+ * - mismatch: the number is registered but some provided fields disagree
+ * - not_found: the number is not in the registry
+ */
+
+const { cachedEmdexRequest, EmdexError, CACHE_TTL } = require('./emdex-service');
+const { transformEmdexBrand, transformBrandResults } = require('./drug-transformer');
+const {
+  validateNafdacNumber,
+  compareNafdacNumbers,
+  generateOcrVariants,
+} = require('./nafdac-number');
+const { brandNamesMatch, scoreBrandMatch } = require('./brand-matcher');
+
+// OCR variants to look up when the number itself isn't registered
+const MAX_LOOKUP_VARIANTS = 3;
+
+// Company suffixes ignored when comparing manufacturers
+const COMPANY_STOPWORDS = [
+  'plc', 'ltd', 'limited', 'inc', 'co', 'company', 'corp', 'corporation', 'ag', 'sa',
+  'gmbh', 'llc', 'pharma', 'pharmaceutical', 'pharmaceuticals', 'industries', 'nigeria',
+  'consumer', 'healthcare', 'international', 'the', 'and', 'of',
+];
+
+/**
+ * Extract the record from an EMDEX verify response
+ *
+ * @param {Object} response - EMDEX response
+ * @returns {Object|null} Raw record or null
+ */
+function extractVerifyRecord(response) {
+  if (!response || response.success === false) return null;
+  if (response.verified === false) return null;
+  if (Array.isArray(response.data)) return response.data[0] || null;
+  return response.data || response.drug || response.brand || null;
+}
+
+/**
+ * Look up a single normalized NAFDAC number in EMDEX
+ *
+ * Uses the EMDEX verify endpoint, falling back to a brand search if the
+ * endpoint isn't available on the account.
+ *
+ * @param {string} nafdacNumber - Normalized NAFDAC number
+ * @returns {Promise<Object|null>} Transformed brand record or null
+ */
+async function lookupNafdacNumber(nafdacNumber) {
+  try {
+    const response = await cachedEmdexRequest(
+      '/api/v1/verify',
+      { nafdac_number: nafdacNumber },
+      CACHE_TTL.VERIFY
+    );
+    delete response._cache;
+
+    const record = extractVerifyRecord(response);
+    if (record && compareNafdacNumbers(transformEmdexBrand(record).nafdac_number, nafdacNumber)) {
+      return transformEmdexBrand(record);
+    }
+    if (response.verified !== undefined || response.success !== false) {
+      return null;
+    }
+  } catch (error) {
+    // Only a missing endpoint falls through - network/auth errors propagate
+    if (!(error instanceof EmdexError) || error.code !== 'REQUEST_FAILED' || error.status !== 404) {
+      throw error;
+    }
+    console.log('[Verify] EMDEX verify endpoint unavailable, falling back to brand search');
+  }
+
+  const searchResponse = await cachedEmdexRequest(
+    '/api/v1/brands/search',
+    { query: nafdacNumber },
+    CACHE_TTL.VERIFY
+  );
+  delete searchResponse._cache;
+
+  const results = transformBrandResults(searchResponse);
+  return results.find(drug => compareNafdacNumbers(drug.nafdac_number, nafdacNumber)) || null;
+}
+
+/**
+ * Find the registry record for a NAFDAC number, trying OCR variants
+ *
+ * @param {string} nafdacNumber - Raw or normalized NAFDAC number
+ * @returns {Promise<Object>} { record, matched_query, match_type, nafdac }
+ */
+async function findNafdacRecord(nafdacNumber) {
+  const nafdac = validateNafdacNumber(nafdacNumber);
+  const primary = nafdac.normalized || String(nafdacNumber).trim();
+
+  const queries = nafdac.normalized
+    ? [primary, ...generateOcrVariants(primary, MAX_LOOKUP_VARIANTS)]
+    : [primary];
+
+  for (const query of queries) {
+    const record = await lookupNafdacNumber(query);
+    if (record) {
+      return {
+        record,
+        matched_query: query,
+        match_type: compareNafdacNumbers(record.nafdac_number, primary) || 'variant',
+        nafdac,
+      };
+    }
+  }
+
+  return { record: null, matched_query: null, match_type: null, nafdac };
+}
+
+/**
+ * Normalize free text for comparison
+ *
+ * @param {string} value - Text
+ * @returns {string} Lowercase alphanumeric text with single spaces
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compare brand names using the fuzzy brand matcher
+ *
+ * @param {string} provided - Reported brand name
+ * @param {string} expected - Registry brand name
+ * @returns {boolean} True if the names agree
+ */
+function brandNamesAgree(provided, expected) {
+  return brandNamesMatch(provided, expected);
+}
+
+/**
+ * Compare manufacturers, ignoring company suffixes like "Plc" or "Ltd"
+ *
+ * @param {string} provided - Reported manufacturer
+ * @param {string} expected - Registry manufacturer
+ * @returns {boolean} True if the manufacturers agree
+ */
+function manufacturersAgree(provided, expected) {
+  const significant = value => normalizeText(value)
+    .split(' ')
+    .filter(token => token.length > 1 && !COMPANY_STOPWORDS.includes(token));
+
+  const a = significant(provided);
+  const b = significant(expected);
+  if (a.length === 0 || b.length === 0) {
+    return normalizeText(provided) === normalizeText(expected);
+  }
+
+  // Agree if the distinctive tokens of one are contained in the other
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.every(token => longer.includes(token));
+}
+
+/**
+ * Extract the numeric amounts and units from a strength string
+ *
+ * @param {string} value - Strength like "500mg/65mg" or "500 MG + 65 MG"
+ * @returns {Array<string>} Amounts like ['500mg', '65mg']
+ */
+function parseStrength(value) {
+  const matches = String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .match(/\d+(?:\.\d+)?(?:mg|g|mcg|µg|ml|iu|%)?/g);
+  return matches || [];
+}
+
+/**
+ * Compare strengths by their amounts
+ *
+ * @param {string} provided - Reported strength
+ * @param {string} expected - Registry strength
+ * @returns {boolean} True if the strengths agree
+ */
+function strengthsAgree(provided, expected) {
+  const a = parseStrength(provided);
+  const b = parseStrength(expected);
+  if (a.length === 0 || b.length === 0) {
+    return normalizeText(provided) === normalizeText(expected);
+  }
+
+  // Units may be omitted on one side ("500/65" vs "500mg/65mg")
+  const numbers = list => list.map(item => parseFloat(item)).sort((x, y) => x - y);
+  return JSON.stringify(numbers(a)) === JSON.stringify(numbers(b));
+}
+
+// Dosage form synonyms mapped to a canonical form
+const DOSAGE_FORM_SYNONYMS = {
+  tab: 'tablet', tabs: 'tablet', tablets: 'tablet', caplet: 'tablet', caplets: 'tablet',
+  cap: 'capsule', caps: 'capsule', capsules: 'capsule',
+  syr: 'syrup', suspension: 'syrup', susp: 'syrup', solution: 'syrup', elixir: 'syrup',
+  inj: 'injection', injectable: 'injection', ampoule: 'injection', vial: 'injection',
+  sachet: 'powder', sachets: 'powder', granules: 'powder',
+  ointment: 'cream', gel: 'cream',
+};
+
+/**
+ * Compare dosage forms, treating synonyms ("Caplet", "Tabs") as equal
+ *
+ * @param {string} provided - Reported dosage form
+ * @param {string} expected - Registry dosage form
+ * @returns {boolean} True if the dosage forms agree
+ */
+function dosageFormsAgree(provided, expected) {
+  const canonical = value => normalizeText(value)
+    .split(' ')
+    .map(token => DOSAGE_FORM_SYNONYMS[token] || token);
+
+  const a = canonical(provided);
+  const b = canonical(expected);
+  return a.some(token => b.includes(token));
+}
+
+// Country aliases mapped to a canonical name
+const COUNTRY_ALIASES = {
+  uk: 'united kingdom', 'great britain': 'united kingdom', england: 'united kingdom',
+  usa: 'united states', us: 'united states', 'united states of america': 'united states',
+  prc: 'china', 'peoples republic of china': 'china',
+};
+
+/**
+ * Compare countries, treating common aliases ("UK", "USA") as equal
+ *
+ * @param {string} provided - Reported country
+ * @param {string} expected - Registry country
+ * @returns {boolean} True if the countries agree
+ */
+function countriesAgree(provided, expected) {
+  const canonical = value => {
+    const normalized = normalizeText(value);
+    return COUNTRY_ALIASES[normalized] || normalized;
+  };
+  return canonical(provided) === canonical(expected);
+}
+
+// Comparators for the optional fields accepted by verification
+const FIELD_COMPARATORS = {
+  brand_name: brandNamesAgree,
+  manufacturer: manufacturersAgree,
+  strength: strengthsAgree,
+};
+
+/**
+ * Compare provided fields against a registry record
+ *
+ * @param {Object} provided - { brand_name, manufacturer, strength }
+ * @param {Object} record - Transformed brand record
+ * @returns {Object} { fields, agreed, disagreed }
+ */
+function compareFields(provided, record) {
+  const fields = {};
+  const agreed = [];
+  const disagreed = [];
+
+  for (const [field, agrees] of Object.entries(FIELD_COMPARATORS)) {
+    const value = provided[field];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+
+    const expected = record[field] || null;
+    const match = expected !== null && agrees(value, expected);
+
+    fields[field] = { provided: value, registry: expected, match };
+    if (field === 'brand_name' && expected !== null) {
+      fields[field].match_score = scoreBrandMatch(value, expected);
+    }
+    (match ? agreed : disagreed).push(field);
+  }
+
+  return { fields, agreed, disagreed };
+}
+
+/**
+ * Verify a NAFDAC number and optional product details against EMDEX
+ *
+ * @param {Object} input - { nafdac_number, brand_name, manufacturer, strength }
+ * @returns {Promise<Object>} Structured verdict
+ * @throws {EmdexError} If EMDEX is unavailable
+ */
+async function verifyNafdacNumber(input) {
+  const lookup = await findNafdacRecord(input.nafdac_number);
+  const nafdac = {
+    provided: input.nafdac_number,
+    normalized: lookup.nafdac.normalized,
+    valid: lookup.nafdac.valid,
+    errors: lookup.nafdac.errors,
+    matched_query: lookup.matched_query,
+    match_type: lookup.match_type,
+  };
+
+  if (!lookup.record) {
+    return {
+      status: 'not_found',
+      verified: false,
+      nafdac,
+      record: null,
+      fields: {},
+      agreed: [],
+      disagreed: [],
+    };
+  }
+
+  const comparison = compareFields(input, lookup.record);
+  const status = comparison.disagreed.length > 0 ? 'mismatch' : 'verified';
+
+  return {
+    status,
+    verified: status === 'verified',
+    nafdac,
+    record: lookup.record,
+    ...comparison,
+  };
+}
+
+module.exports = {
+  findNafdacRecord,
+  verifyNafdacNumber,
+  compareFields,
+  brandNamesAgree,
+  manufacturersAgree,
+  strengthsAgree,
+  dosageFormsAgree,
+  countriesAgree,
+};
@@ -0,0 +1,454 @@
+/**
+ * Vision Provider Registry
+ *
+ * Each vision backend used by /v1/analyze implements the same interface:
+ *
+ * - name: Provider identifier (e.g., 'together')
+ * - getModel(): Model name, configurable per provider via environment
+ * - getApiKey(): API key for the provider, or null if not required
+ * - isConfigured(): Whether the provider has everything it needs to run
+ * - buildRequest({ systemPrompt, prompt, images, maxTokens, temperature }):
+ *     Returns { url, headers, body } for the inference call
+ * - extractContent(responseData): Returns the model's text output
+ * - maxImageDimension: Longest image side worth sending; uploads are
+ *     downscaled to fit before inference
+ * - buildHealthCheckRequest() (optional): Returns { url, headers } for a
+ *     cheap GET that shows the provider is reachable and accepts the key
+ *
+ * Providers may also implement respond(request) to answer without a network
+ * call (used by the deterministic stub).
+ *
+ * Select the active provider with LLAMA_PROVIDER (default: together).
+ */
+
+// Default models per provider (override with the provider's model env var)
+const DEFAULT_MODELS = {
+  together: 'meta-llama/Llama-3.2-11B-Vision-Instruct-Turbo',
+  fireworks: 'accounts/fireworks/models/llama-v3p2-11b-vision-instruct',
+  local: 'llama3.2-vision',
+  stub: 'stub-vision-1',
+};
+
+// Llama 3.2 Vision sees at most 1120x1120 pixels, so larger images only add upload time
+const DEFAULT_MAX_IMAGE_DIMENSION = 1120;
+
+// Default OpenAI-compatible endpoint for local servers (Ollama)
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1/chat/completions';
+
+// Timeout for reachability checks
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Deterministic stub output (matches the mock EMDEX data for Panadol Extra)
+const STUB_ANALYSIS = {
+  identified: true,
+  confidence: 0.92,
+  brand_name: 'Panadol Extra',
+  generic_name: 'Paracetamol + Caffeine',
+  nafdac_number: 'A4-0451',
+  manufacturer: 'GlaxoSmithKline Consumer Nigeria Plc',
+  strength: '500mg/65mg',
+  dosage_form: 'Tablet',
+  pack_size: '24 tablets',
+  batch_number: 'STUB001',
+  expiry_date: '2027-12',
+  manufacturing_date: '2024-12',
+  country_of_origin: 'Nigeria',
+  active_ingredients: ['Paracetamol 500mg', 'Caffeine 65mg'],
+  storage_instructions: 'Store below 30°C',
+  prescription_required: false,
+  warnings_visible: ['Do not exceed the stated dose'],
+  description: 'Pain relief medication',
+  verification_notes: null,
+  image_quality: 'good',
+  suggestions: null,
+};
+
+/**
+ * Custom error class for vision provider errors
+ */
+class VisionProviderError extends Error {
+  constructor(message, code, status = null, originalError = null) {
+    super(message);
+    this.name = 'VisionProviderError';
+    this.code = code;
+    this.status = status;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Build an OpenAI-style chat completions request body
+ *
+ * @param {string} model - Model name
+ * @param {Object} input - Request input
+ * @returns {Object} Request body
+ */
+function buildChatCompletionBody(model, input) {
+  const { systemPrompt, prompt, images = [], maxTokens = 1500, temperature = 0.1 } = input;
+
+  return {
+    model: model,
+    messages: [
+      {
+        role: 'system',
+        content: systemPrompt,
+      },
+      {
+        role: 'user',
+        content: [
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: {
+              url: image.dataUri,
+            },
+          })),
+          {
+            type: 'text',
+            text: prompt,
+          },
+        ],
+      },
+    ],
+    max_tokens: maxTokens,
+    temperature: temperature,
+  };
+}
+
+/**
+ * Extract message content from an OpenAI-style chat completions response
+ *
+ * @param {Object} data - Parsed response JSON
+ * @returns {string} Message content, or empty string if missing
+ */
+function extractChatCompletionContent(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') return content;
+
+  // Some servers return content as an array of parts
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.text || ''))
+      .join('');
+  }
+
+  return '';
+}
+
+/**
+ * Create a provider for a hosted OpenAI-compatible API
+ *
+ * @param {Object} options - Provider options
+ * @returns {Object} Provider implementation
+ */
+function createOpenAICompatibleProvider({
+  name,
+  url,
+  modelEnv,
+  keyEnv,
+  requiresKey = true,
+  maxImageDimension = DEFAULT_MAX_IMAGE_DIMENSION,
+}) {
+  const getUrl = typeof url === 'function' ? url : () => url;
+
+  return {
+    name,
+    requiresKey,
+    maxImageDimension,
+    getModel() {
+      return process.env[modelEnv] || DEFAULT_MODELS[name];
+    },
+    getApiKey() {
+      return process.env[keyEnv] || process.env.LLAMA_API_KEY || null;
+    },
+    isConfigured() {
+      return !requiresKey || !!this.getApiKey();
+    },
+    buildRequest(input) {
+      const headers = { 'Content-Type': 'application/json' };
+      const apiKey = this.getApiKey();
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      return {
+        url: getUrl(),
+        headers,
+        body: buildChatCompletionBody(this.getModel(), input),
+      };
+    },
+    buildHealthCheckRequest() {
+      const headers = {};
+      const apiKey = this.getApiKey();
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      // OpenAI-compatible servers list their models next to the chat endpoint
+      return { url: getUrl().replace(/\/chat\/completions$/, '/models'), headers };
+    },
+    extractContent: extractChatCompletionContent,
+  };
+}
+
+const providers = {
+  // Together AI - recommended, has Llama 3.2 Vision on free tier
+  together: createOpenAICompatibleProvider({
+    name: 'together',
+    url: 'https://api.together.xyz/v1/chat/completions',
+    modelEnv: 'TOGETHER_MODEL',
+    keyEnv: 'TOGETHER_API_KEY',
+  }),
+
+  fireworks: createOpenAICompatibleProvider({
+    name: 'fireworks',
+    url: 'https://api.fireworks.ai/inference/v1/chat/completions',
+    modelEnv: 'FIREWORKS_MODEL',
+    keyEnv: 'FIREWORKS_API_KEY',
+  }),
+
+  // OpenAI-compatible local server (Ollama, llama.cpp server, vLLM)
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    url: () => process.env.LOCAL_VISION_URL || DEFAULT_LOCAL_URL,
+    modelEnv: 'LOCAL_VISION_MODEL',
+    keyEnv: 'LOCAL_VISION_API_KEY',
+    requiresKey: false,
+  }),
+
+  // Deterministic stub for tests and offline development
+  stub: {
+    name: 'stub',
+    requiresKey: false,
+    maxImageDimension: DEFAULT_MAX_IMAGE_DIMENSION,
+    getModel() {
+      return process.env.STUB_VISION_MODEL || DEFAULT_MODELS.stub;
+    },
+    getApiKey() {
+      return null;
+    },
+    isConfigured() {
+      return true;
+    },
+    buildRequest(input) {
+      return {
+        url: 'stub://vision',
+        headers: {},
+        body: buildChatCompletionBody(this.getModel(), input),
+      };
+    },
+    respond() {
+      // STUB_VISION_RESPONSE lets tests supply the raw model output
+      const content = process.env.STUB_VISION_RESPONSE || JSON.stringify(STUB_ANALYSIS);
+      return {
+        id: 'stub-completion',
+        model: this.getModel(),
+        choices: [{ message: { role: 'assistant', content } }],
+      };
+    },
+    extractContent: extractChatCompletionContent,
+  },
+};
+
+/**
+ * Get a provider by name
+ *
+ * @param {string} name - Provider name (default: LLAMA_PROVIDER or 'together')
+ * @returns {Object} Provider implementation
+ * @throws {VisionProviderError} If the provider is unknown
+ */
+function getProvider(name = process.env.LLAMA_PROVIDER || 'together') {
+  const provider = providers[String(name).toLowerCase().trim()];
+  if (!provider) {
+    throw new VisionProviderError(
+      `Unknown vision provider: ${name}. Available: ${listProviders().join(', ')}`,
+      'UNKNOWN_PROVIDER'
+    );
+  }
+  return provider;
+}
+
+/**
+ * List registered provider names
+ *
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Register (or replace) a provider implementation
+ *
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.buildRequest !== 'function' ||
+      typeof provider.extractContent !== 'function') {
+    throw new VisionProviderError('Invalid vision provider implementation', 'INVALID_PROVIDER');
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Send a request to a vision provider and return the model's text output
+ *
+ * @param {Object} provider - Provider implementation
+ * @param {Object} input - { systemPrompt, prompt, images: [{ dataUri }], maxTokens, temperature }
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<Object>} { content, model, provider }
+ * @throws {VisionProviderError} If the request fails or returns no content
+ * @throws {Error} The signal's reason if the request was cancelled
+ */
+async function callVisionProvider(provider, input, options = {}) {
+  if (!provider.isConfigured()) {
+    throw new VisionProviderError(
+      `Vision provider "${provider.name}" is not configured`,
+      'NOT_CONFIGURED'
+    );
+  }
+
+  const request = provider.buildRequest(input);
+  let data;
+
+  if (typeof provider.respond === 'function') {
+    data = await provider.respond(request);
+  } else {
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: options.signal,
+      });
+    } catch (error) {
+      options.signal?.throwIfAborted();
+      throw new VisionProviderError(
+        `Network error calling ${provider.name}: ${error.message}`,
+        'NETWORK_ERROR',
+        null,
+        error
+      );
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[Vision] ${provider.name} API error: ${response.status} - ${errorText}`);
+
+      let code = 'REQUEST_FAILED';
+      if (response.status === 401 || response.status === 403) {
+        code = 'AUTH_FAILED';
+      } else if (response.status === 429) {
+        code = 'RATE_LIMITED';
+      }
+
+      const error = new VisionProviderError(
+        `${provider.name} request failed: ${response.status}`,
+        code,
+        response.status
+      );
+
+      // Honor Retry-After (seconds) when the provider sends one
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (!Number.isNaN(retryAfter)) {
+        error.retryAfter = retryAfter;
+      }
+
+      throw error;
+    }
+
+    try {
+      data = await response.json();
+    } catch (error) {
+      options.signal?.throwIfAborted();
+      throw new VisionProviderError(
+        `Invalid JSON from ${provider.name}: ${error.message}`,
+        'INVALID_RESPONSE',
+        response.status,
+        error
+      );
+    }
+  }
+
+  const content = provider.extractContent(data);
+  if (!content) {
+    throw new VisionProviderError(
+      `Empty response from ${provider.name}`,
+      'EMPTY_RESPONSE'
+    );
+  }
+
+  return {
+    content,
+    model: request.body?.model || provider.getModel(),
+    provider: provider.name,
+  };
+}
+
+/**
+ * Check that a provider is configured, reachable and accepts its API key
+ *
+ * Providers without buildHealthCheckRequest() (such as the stub) are only
+ * checked for configuration. Any HTTP response other than 401/403 counts
+ * as reachable; the status is returned so callers can flag 5xx.
+ *
+ * @param {Object} provider - Provider implementation
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} { checked, status }
+ * @throws {VisionProviderError} NOT_CONFIGURED, NETWORK_ERROR or AUTH_FAILED
+ */
+async function checkVisionProvider(provider, timeoutMs = DEFAULT_HEALTH_CHECK_TIMEOUT_MS) {
+  if (!provider.isConfigured()) {
+    throw new VisionProviderError(
+      `Vision provider "${provider.name}" is not configured`,
+      'NOT_CONFIGURED'
+    );
+  }
+
+  if (typeof provider.respond === 'function' || typeof provider.buildHealthCheckRequest !== 'function') {
+    return { checked: false, status: null };
+  }
+
+  const request = provider.buildHealthCheckRequest();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(request.url, { method: 'GET', headers: request.headers, signal: controller.signal });
+  } catch (error) {
+    throw new VisionProviderError(
+      controller.signal.aborted
+        ? `${provider.name} did not respond within ${timeoutMs}ms`
+        : `Network error calling ${provider.name}: ${error.message}`,
+      'NETWORK_ERROR',
+      null,
+      error
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // The body (e.g., a model list) isn't needed
+  await response.body?.cancel().catch(() => {});
+
+  if (response.status === 401 || response.status === 403) {
+    throw new VisionProviderError(
+      `${provider.name} rejected the API key: ${response.status}`,
+      'AUTH_FAILED',
+      response.status
+    );
+  }
+
+  return { checked: true, status: response.status };
+}
+
+module.exports = {
+  VisionProviderError,
+  getProvider,
+  listProviders,
+  registerProvider,
+  callVisionProvider,
+  checkVisionProvider,
+  STUB_ANALYSIS,
+};
@@ -0,0 +1,176 @@
+/**
+ * Vision Service
+ *
+ * Calls the configured vision providers with retry and failover so a single
+ * rate-limited or failing vendor doesn't lose a scan.
+ *
+ * - Transient failures (429, 5xx, network errors) are retried with exponential backoff
+ * - When a provider is exhausted, the next provider in the chain is tried
+ * - The result reports which provider and attempt produced the output
+ *
+ * Configure the chain with LLAMA_PROVIDER (primary) and LLAMA_FALLBACK_PROVIDERS
+ * (comma-separated, e.g. "fireworks,local").
+ */
+
+const { getProvider, callVisionProvider, VisionProviderError } = require('./vision-providers');
+
+// Retry defaults (override with VISION_MAX_RETRIES / VISION_RETRY_BASE_MS)
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// Error codes worth retrying against the same provider
+const RETRYABLE_CODES = ['RATE_LIMITED', 'NETWORK_ERROR', 'EMPTY_RESPONSE', 'INVALID_RESPONSE'];
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a non-negative integer from the environment
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Get the ordered list of provider names to try
+ *
+ * @returns {Array<string>} Provider names, primary first, without duplicates
+ */
+function getProviderChain() {
+  const primary = (process.env.LLAMA_PROVIDER || 'together').toLowerCase().trim();
+  const fallbacks = (process.env.LLAMA_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(name => name.toLowerCase().trim())
+    .filter(name => name.length > 0);
+
+  return [...new Set([primary, ...fallbacks])];
+}
+
+/**
+ * Check whether an error should be retried against the same provider
+ *
+ * @param {Error} error - Error from callVisionProvider
+ * @returns {boolean} True if the failure is transient
+ */
+function isRetryable(error) {
+  if (!(error instanceof VisionProviderError)) return false;
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  return error.code === 'REQUEST_FAILED' && error.status >= 500;
+}
+
+/**
+ * Compute the backoff delay before the next attempt
+ *
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {VisionProviderError} error - The failure
+ * @param {number} baseMs - Base delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, error, baseMs) {
+  if (error.retryAfter) {
+    return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const exponential = baseMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * baseMs;
+  return Math.min(exponential + jitter, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run a vision request across the provider chain with retries
+ *
+ * @param {Object} input - { systemPrompt, prompt, images, maxTokens, temperature }
+ * @param {Object} options - Optional overrides
+ * @param {Array<string>} options.providers - Provider chain (default: from environment)
+ * @param {number} options.maxRetries - Retries per provider after the first attempt
+ * @param {number} options.retryBaseMs - Base backoff delay
+ * @param {AbortSignal} options.signal - Cancels the request and any further attempts
+ * @returns {Promise<Object>} { content, provider, model, attempt, total_attempts, attempts }
+ * @throws {VisionProviderError} The last failure, with `attempts` attached
+ * @throws {Error} The signal's reason if cancelled
+ */
+async function analyzeWithFailover(input, options = {}) {
+  const chain = options.providers || getProviderChain();
+  const maxRetries = options.maxRetries ?? readIntEnv('VISION_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const retryBaseMs = options.retryBaseMs ?? readIntEnv('VISION_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+
+  const attempts = [];
+  let lastError = null;
+
+  for (const providerName of chain) {
+    let provider;
+    try {
+      provider = getProvider(providerName);
+    } catch (error) {
+      console.error(`[Vision] ${error.message}`);
+      attempts.push({ provider: providerName, attempt: 1, success: false, code: error.code });
+      lastError = lastError || error;
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      options.signal?.throwIfAborted();
+      const startedAt = Date.now();
+      try {
+        console.log(`[Vision] ${provider.name} (${provider.getModel()}) attempt ${attempt}`);
+        const result = await callVisionProvider(provider, input, { signal: options.signal });
+
+        attempts.push({
+          provider: provider.name,
+          attempt,
+          success: true,
+          duration_ms: Date.now() - startedAt,
+        });
+
+        return {
+          ...result,
+          attempt,
+          total_attempts: attempts.length,
+          attempts,
+        };
+      } catch (error) {
+        if (!(error instanceof VisionProviderError)) {
+          throw error;
+        }
+
+        // Keep a real upstream failure over a fallback that simply isn't configured
+        if (!lastError || error.code !== 'NOT_CONFIGURED') {
+          lastError = error;
+        }
+        attempts.push({
+          provider: provider.name,
+          attempt,
+          success: false,
+          code: error.code,
+          status: error.status,
+          duration_ms: Date.now() - startedAt,
+        });
+
+        if (!isRetryable(error) || attempt > maxRetries) {
+          console.error(`[Vision] ${provider.name} failed (${error.code}), giving up on provider`);
+          break;
+        }
+
+        const waitMs = getRetryDelay(attempt, error, retryBaseMs);
+        console.log(`[Vision] ${provider.name} ${error.code}, retrying in ${Math.round(waitMs)}ms`);
+        await delay(waitMs);
+      }
+    }
+  }
+
+  const error = lastError || new VisionProviderError('No vision providers configured', 'NOT_CONFIGURED');
+  error.attempts = attempts;
+  throw error;
+}
+
+module.exports = {
+  analyzeWithFailover,
+  getProviderChain,
+  isRetryable,
+};
@@ -0,0 +1,270 @@
+/**
+ * Signed Webhooks
+ *
+ * Delivers JSON event payloads to client callback URLs. Each request is
+ * signed with HMAC-SHA256 over "<timestamp>.<body>" using JOB_WEBHOOK_SECRET:
+ *
+ *   X-ScanRx-Signature: t=1760000000,v1=5d41402abc4b2a76b9719d911017c592...
+ *
+ * Receivers recompute the signature (see verifyWebhookSignature) and reject
+ * stale timestamps to prevent replays.
+ *
+ * Callback URLs come from clients, so the host is resolved and loopback,
+ * private, link-local and other internal addresses are refused - both when
+ * the job is submitted and before each delivery - and redirects aren't
+ * followed. JOB_WEBHOOK_ALLOW_PRIVATE=true lifts this for local development.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Delivery attempts before giving up
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Per-attempt request timeout
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Base backoff between attempts (doubled each time)
+const RETRY_BASE_MS = 1000;
+
+// Signatures older than this are rejected by verifyWebhookSignature
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Addresses callbacks may not reach: this host, private networks, link-local
+// (cloud metadata at 169.254.169.254), shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+for (const [address, prefix] of [
+  // Unspecified and loopback, NAT64, unique local, link-local, multicast
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  // 6to4 and Teredo embed an IPv4 address; blocked outright rather than decoded
+  ['2002::', 16], ['2001::', 32],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Custom error class for webhook errors
+ */
+class WebhookError extends Error {
+  constructor(message, code, status = null) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Helper for async delays
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the signing secret
+ *
+ * @returns {string|null} Secret or null if webhooks aren't configured
+ */
+function getWebhookSecret() {
+  return process.env.JOB_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Check whether callbacks may reach internal addresses (local development)
+ *
+ * @returns {boolean} True if JOB_WEBHOOK_ALLOW_PRIVATE is "true"
+ */
+function isPrivateAllowed() {
+  return process.env.JOB_WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * Check whether an IP address is internal
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if callbacks may not reach it
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a callback host and make sure every address it has is public
+ *
+ * @param {string} hostname - Hostname or IP literal from the URL
+ * @returns {Promise<void>}
+ * @throws {WebhookError} UNRESOLVABLE_HOST or PRIVATE_ADDRESS
+ */
+async function assertPublicHost(hostname) {
+  if (isPrivateAllowed()) return;
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch {
+      throw new WebhookError(`Could not resolve callback host ${host}`, 'UNRESOLVABLE_HOST');
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    throw new WebhookError(`Callback host ${host} resolves to an internal address`, 'PRIVATE_ADDRESS');
+  }
+}
+
+/**
+ * Validate a callback URL
+ *
+ * @param {string} value - URL supplied by the client
+ * @returns {Promise<string>} Normalized URL
+ * @throws {WebhookError} INVALID_CALLBACK_URL if it isn't an http(s) URL with
+ *   a public host, UNRESOLVABLE_HOST or PRIVATE_ADDRESS
+ */
+async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new WebhookError(`Invalid callback URL: ${value}`, 'INVALID_CALLBACK_URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new WebhookError('Callback URL must use http or https', 'INVALID_CALLBACK_URL');
+  }
+  if (url.username || url.password) {
+    throw new WebhookError('Callback URL must not contain credentials', 'INVALID_CALLBACK_URL');
+  }
+
+  await assertPublicHost(url.hostname);
+  return url.toString();
+}
+
+/**
+ * Sign a webhook body
+ *
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value ("t=...,v1=...")
+ */
+function signWebhook(body, timestamp, secret) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a webhook signature (for receivers and tests)
+ *
+ * @param {string} body - Raw JSON body as received
+ * @param {string} header - X-ScanRx-Signature header
+ * @param {string} secret - Signing secret
+ * @param {Object} options - { toleranceSeconds, now: Unix time in seconds }
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifyWebhookSignature(body, header, secret, options = {}) {
+  const tolerance = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > tolerance) return false;
+
+  const expected = signWebhook(body, timestamp, secret).split('v1=')[1];
+  const received = Buffer.from(parts.v1, 'hex');
+  return received.length === expected.length / 2 &&
+    crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'));
+}
+
+/**
+ * Deliver an event to a callback URL, retrying failures
+ *
+ * Never throws - the outcome is returned so it can be recorded on the job.
+ *
+ * @param {string} url - Callback URL
+ * @param {string} event - Event name (e.g., "job.succeeded")
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<Object>} { delivered, attempts, status, error, delivered_at }
+ */
+async function deliverWebhook(url, event, payload) {
+  const secret = getWebhookSecret();
+  const body = JSON.stringify({ event, ...payload });
+  let lastError = null;
+  let status = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= MAX_DELIVERY_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ScanRx-Webhooks/1.0',
+      'X-ScanRx-Event': event,
+    };
+    if (secret) {
+      headers['X-ScanRx-Signature'] = signWebhook(body, timestamp, secret);
+    }
+
+    try {
+      // Resolve again before each attempt, in case DNS now points inside
+      await assertPublicHost(new URL(url).hostname);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      status = response.status;
+
+      if (response.ok) {
+        console.log(`[Webhook] Delivered ${event} to ${url} (attempt ${attempt})`);
+        return { delivered: true, attempts: attempt, status, error: null, delivered_at: new Date().toISOString() };
+      }
+
+      // Redirects could point anywhere, including internal hosts
+      if (response.status >= 300 && response.status < 400) {
+        lastError = `HTTP ${response.status} (redirects are not followed)`;
+        break;
+      }
+
+      lastError = `HTTP ${response.status}`;
+      // The receiver rejected the payload; retrying won't help
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        break;
+      }
+    } catch (error) {
+      lastError = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+      if (error.code === 'PRIVATE_ADDRESS') {
+        console.log(`[Webhook] ${event} to ${url} refused: ${lastError}`);
+        break;
+      }
+    }
+
+    console.log(`[Webhook] ${event} to ${url} failed (${lastError}), attempt ${attempt}/${MAX_DELIVERY_ATTEMPTS}`);
+    if (attempt < MAX_DELIVERY_ATTEMPTS) {
+      await delay(RETRY_BASE_MS * Math.pow(2, attempt - 1));
+    }
+  }
+
+  return { delivered: false, attempts, status, error: lastError, delivered_at: null };
+}
+
+module.exports = {
+  WebhookError,
+  getWebhookSecret,
+  validateCallbackUrl,
+  signWebhook,
+  verifyWebhookSignature,
+  deliverWebhook,
+};
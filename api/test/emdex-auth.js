@@ -4,11 +4,11 @@
  * GET /api/test/emdex-auth
  * 
  * Tests that EMDEX authentication is working correctly.
- * This endpoint is for development testing only.
- * Remove or protect it before production.
+ * Requires an API key with the admin scope.
  */
 
 const { getToken, EmdexError } = require('../services/emdex-service');
+const { authenticate } = require('../services/api-keys');
 
 module.exports = async function handler(req, res) {
   // Only allow GET requests
@@ -19,6 +19,9 @@ module.exports = async function handler(req, res) {
     });
   }
 
+  // Require an API key with the admin scope
+  if (!(await authenticate(req, res, 'admin'))) return;
+
   try {
     // Attempt to get a token from EMDEX
     await getToken();